@@ -5,17 +5,22 @@ const cors = require('cors');
 const Anthropic = require('@anthropic-ai/sdk');
 const Parser = require('rss-parser');
 const { MongoClient } = require('mongodb');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const cron = require('node-cron');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
 const parser = new Parser();
 
 app.use(cors());
 app.use(express.json());
-
-// Initialize Anthropic
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+app.use(authenticate);
 
 // MongoDB connection
 let db;
@@ -25,11 +30,83 @@ MongoClient.connect(process.env.MONGODB_URL).then(client => {
   
   // Initialize default sources if none exist
   initializeDefaultSources();
+  
+  initializeIndexes().catch(error => {
+    console.error('Index creation error:', error);
+  });
+  
+  initializeSourceUrls().catch(error => {
+    console.error('Source URL migration error:', error);
+  });
+  
+  initializeTopicFeedTokens().catch(error => {
+    console.error('Topic feed token migration error:', error);
+  });
+  
+  initializeScheduler().catch(error => {
+    console.error('Scheduler initialization error:', error);
+  });
+  
+  initializeRetention().catch(error => {
+    console.error('Retention initialization error:', error);
+  });
+  
+  initializeWebhooks().catch(error => {
+    console.error('Webhook initialization error:', error);
+  });
+  
+  initializeAdmin().catch(error => {
+    console.error('Admin initialization error:', error);
+  });
 }).catch(error => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Create indexes used by queries and expiring collections
+async function initializeIndexes() {
+  await db.collection('raw_items').createIndex({ id: 1 }, { unique: true });
+  await db.collection('raw_items').createIndex({ sourceId: 1, publishedAt: -1 });
+  await db.collection('articles').createIndex(
+    { headline: 'text', summary: 'text', generatedContent: 'text', 'sources.name': 'text' },
+    { name: 'articles_text', weights: { headline: 10, summary: 5, 'sources.name': 3, generatedContent: 1 } }
+  );
+  await db.collection('users').createIndex({ email: 1 }, { unique: true });
+  await db.collection('api_keys').createIndex({ keyHash: 1 }, { unique: true });
+  await db.collection('articles').createIndex({ publishedAt: -1, id: -1 });
+  await db.collection('llm_usage').createIndex({ createdAt: -1 });
+  await db.collection('article_revisions').createIndex({ articleId: 1, revision: -1 });
+  await db.collection('clusters').createIndex({ id: 1 }, { unique: true });
+  await db.collection('clusters').createIndex({ updatedAt: -1 });
+  await db.collection('source_health').createIndex({ sourceId: 1, fetchedAt: -1 });
+  await db.collection('source_health').createIndex(
+    { fetchedAt: 1 },
+    { expireAfterSeconds: SOURCE_HEALTH_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+  await db.collection('articles').createIndex({ createdAt: 1 });
+  await db.collection('articles').createIndex({ 'entities.key': 1 });
+  await db.collection('article_states').createIndex({ userId: 1, articleId: 1 }, { unique: true });
+  await db.collection('article_states').createIndex({ userId: 1, bookmarked: 1, bookmarkedAt: -1 });
+  await db.collection('article_states').createIndex({ articleId: 1, bookmarked: 1 });
+  await db.collection('webhooks').createIndex({ id: 1 }, { unique: true });
+  await db.collection('digests').createIndex({ userId: 1, periodKey: 1 }, { unique: true });
+  await db.collection('digests').createIndex({ userId: 1, generatedAt: -1 });
+  await db.collection('webhook_deliveries').createIndex({ webhookId: 1, createdAt: -1 });
+  await db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+  await db.collection('webhook_deliveries').createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+  await db.collection('articles_archive').createIndex({ id: 1 }, { unique: true });
+  await db.collection('images').createIndex({ hash: 1 }, { unique: true });
+  await db.collection('articles').createIndex({ 'image.hash': 1 });
+  await db.collection('articles_archive').createIndex({ 'image.hash': 1 });
+  await db.collection('articles_archive').createIndex(
+    { archivedAt: 1 },
+    { expireAfterSeconds: ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+}
+
 // Initialize default news sources
 async function initializeDefaultSources() {
   const count = await db.collection('sources').countDocuments();
@@ -43,11 +120,506 @@ async function initializeDefaultSources() {
       { id: generateId(), name: 'Ars Technica', url: 'http://feeds.arstechnica.com/arstechnica/index', category: 'technology', enabled: true, createdAt: new Date() },
     ];
     
-    await db.collection('sources').insertMany(defaultSources);
+    await db.collection('sources').insertMany(defaultSources.map(source => ({
+      ...source,
+      normalizedUrl: normalizeSourceUrl(source.url)
+    })));
     console.log('✓ Initialized default news sources');
   }
 }
 
+// Backfill normalizedUrl on older sources, then make it unique. When older
+// sources already share a feed, only the first keeps the normalized URL.
+async function initializeSourceUrls() {
+  const sources = await db.collection('sources')
+    .find({ normalizedUrl: { $exists: false } }, { projection: { id: 1, name: 1, url: 1 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  
+  for (const source of sources) {
+    const normalizedUrl = normalizeSourceUrl(source.url);
+    const duplicate = await findDuplicateSource(source.url, source.id);
+    
+    if (duplicate) {
+      console.warn(`⚠️  Source ${source.name} has the same URL as ${duplicate.name}; remove one of them`);
+      continue;
+    }
+    await db.collection('sources').updateOne({ id: source.id }, { $set: { normalizedUrl } });
+  }
+  
+  await db.collection('sources').createIndex(
+    { normalizedUrl: 1 },
+    { unique: true, partialFilterExpression: { normalizedUrl: { $type: 'string' } } }
+  );
+}
+
+// ============================================
+// ERRORS, VALIDATION & RATE LIMITING
+// ============================================
+
+// Every error response has the shape { error: { code, message, details? } }.
+// Codes default from the status; a few cases have their own (e.g. DUPLICATE_SOURCE).
+const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    error: {
+      code: code || ERROR_CODES[status] || 'ERROR',
+      message,
+      ...(details !== undefined ? { details } : {})
+    }
+  });
+}
+
+// Unexpected failures are logged; clients only get a generic message
+function sendServerError(res, error) {
+  console.error('❌ Request failed:', error);
+  return sendError(res, 500, 'Internal server error');
+}
+
+// Query and path values are strings; convert those the schema expects as numbers
+function coerceStrings(values, schema) {
+  const coerced = { ...values };
+  
+  for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+    const types = [].concat(childSchema.type);
+    const value = coerced[key];
+    
+    if (typeof value === 'string' && (types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+      coerced[key] = Number(value);
+    }
+  }
+  
+  return coerced;
+}
+
+// Check req.params, req.query and req.body against JSON schemas (the subset
+// `validateSchema` supports) before the handler runs. Coerced query and path
+// values replace the originals.
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    
+    for (const part of ['params', 'query', 'body']) {
+      const schema = schemas[part];
+      if (!schema) continue;
+      
+      if (part === 'body') {
+        details.push(...validateSchema(req.body === undefined ? {} : req.body, schema, 'body'));
+      } else {
+        const coerced = coerceStrings(req[part], schema);
+        Object.assign(req[part], coerced);
+        details.push(...validateSchema(coerced, schema, part));
+      }
+    }
+    
+    if (details.length > 0) {
+      return sendError(res, 400, details.join('; '), { details });
+    }
+    next();
+  };
+}
+
+// Shared schema fragments
+const ID_PARAMS = { type: 'object', properties: { id: { type: 'string', pattern: '^[\\w-]{1,64}$' } }, required: ['id'] };
+const PAGE_QUERY = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 100 }
+  }
+};
+const BOOLEAN_STRING = { type: 'string', enum: ['true', 'false'] };
+const ID_STRING = ID_PARAMS.properties.id;
+const DATE_STRING = { type: 'string', format: 'date-time' };
+// Routes that take no input reject anything they are sent
+const NO_INPUT = { type: 'object', additionalProperties: false };
+
+function limitSchema(max) {
+  return { type: 'integer', minimum: 1, maximum: max };
+}
+
+// Fixed-window limits per client (user id when signed in, otherwise IP address).
+// Each bucket is one quota, shared by every route that uses it.
+const RATE_LIMITS = {
+  // Manual news fetches (LLM calls)
+  fetchNews: { windowMs: 15 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_FETCH_NEWS) || 5 },
+  // Requests that fetch feeds: adding, importing, discovering and re-pointing sources
+  sources: { windowMs: 60 * 1000, max: parseInt(process.env.RATE_LIMIT_SOURCES) || 10 },
+  // Deleting sources, topics, webhooks, API keys and articles
+  deletes: { windowMs: 60 * 1000, max: parseInt(process.env.RATE_LIMIT_DELETES) || 30 },
+  digests: { windowMs: 60 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_DIGESTS) || 20 },
+  webhookTests: { windowMs: 60 * 1000, max: parseInt(process.env.RATE_LIMIT_WEBHOOK_TESTS) || 10 }
+};
+
+// `${bucket}:${client}` -> { count, resetAt }
+const rateLimitWindows = new Map();
+
+// Forget clients whose window has ended
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of rateLimitWindows) {
+    if (window.resetAt <= now) rateLimitWindows.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// Count a request against a bucket. Returns false after sending the 429 when
+// the client is over the limit, so handlers can limit only their costly path.
+function consumeRateLimit(name, req, res) {
+  const { windowMs, max } = RATE_LIMITS[name];
+  const key = `${name}:${req.user ? `user:${req.user.id}` : `ip:${req.ip}`}`;
+  const now = Date.now();
+  let window = rateLimitWindows.get(key);
+  
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    rateLimitWindows.set(key, window);
+  }
+  
+  window.count++;
+  const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+  
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(max - window.count, 0)));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  
+  if (window.count > max) {
+    res.set('Retry-After', String(resetSeconds));
+    sendError(res, 429, `Too many requests, try again in ${resetSeconds}s`, {
+      details: { limit: max, windowSeconds: windowMs / 1000, retryAfter: resetSeconds }
+    });
+    return false;
+  }
+  return true;
+}
+
+function rateLimit(name) {
+  return (req, res, next) => {
+    if (consumeRateLimit(name, req, res)) next();
+  };
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+// Without JWT_SECRET a random secret is used, so tokens stop working on restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const API_KEY_PREFIX = 'nak_';
+const ROLES = ['user', 'admin'];
+// The account with this email is the admin. Nobody else becomes admin by
+// registering; the admin can promote other users with PUT /api/users/:id.
+const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || '').trim().toLowerCase() || null;
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set; issued tokens will be invalid after a restart');
+}
+
+// Make sure the ADMIN_EMAIL account (if registered) is an admin
+async function initializeAdmin() {
+  if (!ADMIN_EMAIL) {
+    if (!await db.collection('users').findOne({ role: 'admin' })) {
+      console.warn('⚠️  ADMIN_EMAIL is not set and no admin exists; admin routes are unavailable');
+    }
+    return;
+  }
+  
+  const admin = await db.collection('users').findOneAndUpdate(
+    { email: ADMIN_EMAIL },
+    { $set: { role: 'admin' } },
+    { returnDocument: 'after' }
+  );
+  
+  if (admin) {
+    await assignLegacyTopics(admin);
+  }
+}
+
+// EventSource can't send headers, so SSE routes also accept ?access_token=.
+// Anywhere else query tokens would end up in access logs and Referer headers.
+const QUERY_TOKEN_ROUTES = [/^\/api\/jobs\/[^/]+\/events$/];
+
+// Resolve the caller from a bearer token (JWT or API key) or an X-API-Key header.
+// Requests without credentials continue anonymously; invalid credentials are rejected.
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get('authorization') || '';
+    const queryToken = QUERY_TOKEN_ROUTES.some(route => route.test(req.path)) && typeof req.query.access_token === 'string'
+      ? req.query.access_token
+      : undefined;
+    const credential = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : req.get('x-api-key') || queryToken;
+    
+    if (!credential) {
+      return next();
+    }
+    
+    const user = credential.startsWith(API_KEY_PREFIX)
+      ? await userFromApiKey(credential)
+      : await userFromToken(credential);
+    
+    if (!user) {
+      return sendError(res, 401, 'Invalid or expired credentials');
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    sendServerError(res, error);
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'Authentication required');
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'Authentication required');
+  }
+  if (req.user.role !== 'admin') {
+    return sendError(res, 403, 'Admin access required');
+  }
+  next();
+}
+
+async function userFromToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return await db.collection('users').findOne({ id: payload.sub }, { projection: { _id: 0, passwordHash: 0 } });
+  } catch (error) {
+    return null;
+  }
+}
+
+async function userFromApiKey(key) {
+  const apiKey = await db.collection('api_keys').findOneAndUpdate(
+    { keyHash: hashApiKey(key) },
+    { $set: { lastUsedAt: new Date() } }
+  );
+  
+  if (!apiKey) {
+    return null;
+  }
+  
+  return db.collection('users').findOne({ id: apiKey.userId }, { projection: { _id: 0, passwordHash: 0 } });
+}
+
+function issueToken(user) {
+  return jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function publicUser(user) {
+  const { _id, passwordHash, ...rest } = user;
+  return rest;
+}
+
+const REGISTER_BODY = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', pattern: '^\\s*[^\\s@]+@[^\\s@]+\\s*$', maxLength: 254 },
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+    name: { type: 'string', maxLength: 100 }
+  },
+  required: ['email', 'password']
+};
+
+const LOGIN_BODY = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', maxLength: 254 },
+    password: { type: 'string', maxLength: 200 }
+  },
+  required: ['email', 'password']
+};
+
+// Register an account. The ADMIN_EMAIL account becomes the admin.
+app.post('/api/auth/register', validate({ body: REGISTER_BODY }), async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    
+    const normalizedEmail = email.trim().toLowerCase();
+    
+    if (await db.collection('users').findOne({ email: normalizedEmail })) {
+      return sendError(res, 409, 'Email is already registered');
+    }
+    
+    const user = {
+      id: generateId(),
+      email: normalizedEmail,
+      name: name || normalizedEmail,
+      role: normalizedEmail === ADMIN_EMAIL ? 'admin' : 'user',
+      passwordHash: hashPassword(password),
+      createdAt: new Date()
+    };
+    
+    try {
+      await db.collection('users').insertOne(user);
+    } catch (error) {
+      // A concurrent registration with the same email won the unique index
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Email is already registered');
+      }
+      throw error;
+    }
+    
+    if (user.role === 'admin') {
+      await assignLegacyTopics(user);
+    }
+    
+    res.status(201).json({ token: issueToken(user), user: publicUser(user) });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Exchange email and password for a JWT
+app.post('/api/auth/login', validate({ body: LOGIN_BODY }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const user = await db.collection('users').findOne({ email: email.trim().toLowerCase() });
+    
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return sendError(res, 401, 'Invalid email or password');
+    }
+    
+    res.json({ token: issueToken(user), user: publicUser(user) });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Get the authenticated user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// List the caller's API keys
+app.get('/api/auth/api-keys', requireAuth, async (req, res) => {
+  try {
+    const keys = await db.collection('api_keys')
+      .find({ userId: req.user.id }, { projection: { _id: 0, keyHash: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    
+    res.json(keys);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Create an API key. The key itself is only returned once.
+app.post('/api/auth/api-keys', requireAuth, validate({
+  body: { type: 'object', properties: { name: { type: 'string', minLength: 1, maxLength: 100 } } }
+}), async (req, res) => {
+  try {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = {
+      id: generateId(),
+      userId: req.user.id,
+      name: req.body.name || 'API key',
+      prefix: key.substring(0, 10),
+      keyHash: hashApiKey(key),
+      createdAt: new Date(),
+      lastUsedAt: null
+    };
+    
+    await db.collection('api_keys').insertOne(apiKey);
+    
+    const { _id, keyHash, ...rest } = apiKey;
+    res.status(201).json({ ...rest, key });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Revoke an API key
+app.delete('/api/auth/api-keys/:id', requireAuth, rateLimit('deletes'), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.collection('api_keys').deleteOne({ id: req.params.id, userId: req.user.id });
+    
+    if (result.deletedCount === 0) {
+      return sendError(res, 404, 'API key not found');
+    }
+    
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// List users (admin)
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await db.collection('users')
+      .find({}, { projection: { _id: 0, passwordHash: 0 } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    
+    res.json(users);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Change a user's role (admin)
+app.put('/api/users/:id', requireAdmin, validate({
+  params: ID_PARAMS,
+  body: { type: 'object', properties: { role: { type: 'string', enum: ROLES } }, required: ['role'] }
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return sendError(res, 400, 'You cannot remove your own admin role');
+    }
+    
+    const result = await db.collection('users').updateOne({ id: req.params.id }, { $set: { role } });
+    
+    if (result.matchedCount === 0) {
+      return sendError(res, 404, 'User not found');
+    }
+    
+    const user = await db.collection('users').findOne({ id: req.params.id }, { projection: { _id: 0, passwordHash: 0 } });
+    res.json(user);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
 // ============================================
 // NEWS SOURCES API ENDPOINTS
 // ============================================
@@ -58,387 +630,5924 @@ app.get('/api/sources', async (req, res) => {
     const sources = await db.collection('sources').find().toArray();
     res.json(sources);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
+// Range checks for the interval and item limit stay in isValidFetchInterval / isValidItemLimit
+const SOURCE_PROPERTIES = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  url: { type: 'string', format: 'uri', maxLength: 2000 },
+  category: { type: 'string', minLength: 1, maxLength: 50 },
+  enabled: { type: 'boolean' },
+  fetchIntervalMinutes: { type: ['integer', 'null'] },
+  itemLimit: { type: ['integer', 'null'] },
+  extractFullText: { type: 'boolean' }
+};
+
+// Key for spotting the same feed under a different spelling: the URL parser
+// lowercases scheme and host and drops default ports; the fragment and
+// trailing slashes are dropped here
+function normalizeSourceUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Another source already pulling the same feed
+async function findDuplicateSource(url, excludeId = null) {
+  const filter = { normalizedUrl: normalizeSourceUrl(url) };
+  if (excludeId) filter.id = { $ne: excludeId };
+  return db.collection('sources').findOne(filter, { projection: { _id: 0, id: 1, name: 1 } });
+}
+
+// Insert or update a source; a concurrent request that took the same URL
+// first trips the unique index and gets the duplicate's details
+async function writeSource(res, url, write) {
+  try {
+    await write();
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    
+    const duplicate = await findDuplicateSource(url);
+    if (duplicate) {
+      sendDuplicateSourceError(res, duplicate);
+    } else {
+      sendError(res, 409, 'A source with this URL already exists', { code: 'DUPLICATE_SOURCE' });
+    }
+    return false;
+  }
+}
+
+function sendDuplicateSourceError(res, duplicate) {
+  return sendError(res, 409, `A source with this URL already exists (${duplicate.name})`, {
+    code: 'DUPLICATE_SOURCE',
+    details: { sourceId: duplicate.id }
+  });
+}
+
 // Add new news source
-app.post('/api/sources', async (req, res) => {
+app.post('/api/sources', requireAdmin, rateLimit('sources'), validate({
+  body: { type: 'object', properties: SOURCE_PROPERTIES, required: ['url'] }
+}), async (req, res) => {
   try {
-    const { name, url, category } = req.body;
+    const { name, url, category, fetchIntervalMinutes, itemLimit, extractFullText } = req.body;
+    
+    const duplicate = await findDuplicateSource(url);
+    if (duplicate) {
+      return sendDuplicateSourceError(res, duplicate);
+    }
+    
+    if (fetchIntervalMinutes !== undefined && !isValidFetchInterval(fetchIntervalMinutes)) {
+      return sendError(res, 400, 'fetchIntervalMinutes must be a positive integer or null');
+    }
     
-    if (!name || !url) {
-      return res.status(400).json({ error: 'Name and URL are required' });
+    if (itemLimit !== undefined && !isValidItemLimit(itemLimit)) {
+      return sendError(res, 400, `itemLimit must be an integer between 1 and ${MAX_ITEM_LIMIT} or null`);
     }
     
-    // Validate URL is an RSS feed by trying to parse it
+    // Validate URL is an RSS, Atom or JSON feed by fetching it; for a web page
+    // the response lists the feeds it links to
+    let feedInfo;
     try {
-      await parser.parseURL(url);
+      feedInfo = await validateFeedUrl(url);
     } catch (error) {
-      return res.status(400).json({ error: 'Invalid RSS feed URL' });
+      return sendFeedValidationError(res, error);
     }
     
     const source = {
       id: generateId(),
-      name,
+      name: name || feedInfo.title || new URL(url).hostname,
       url,
+      normalizedUrl: normalizeSourceUrl(url),
       category: category || 'general',
       enabled: true,
+      fetchIntervalMinutes: fetchIntervalMinutes || null,
+      itemLimit: itemLimit || null,
+      extractFullText: extractFullText !== false,
       createdAt: new Date()
     };
     
-    await db.collection('sources').insertOne(source);
+    if (!await writeSource(res, url, () => db.collection('sources').insertOne(source))) return;
     res.status(201).json(source);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
 // Update news source (toggle enabled, edit name, etc)
-app.put('/api/sources/:id', async (req, res) => {
+app.put('/api/sources/:id', requireAdmin, validate({
+  params: ID_PARAMS,
+  body: { type: 'object', properties: SOURCE_PROPERTIES }
+}), async (req, res) => {
   try {
-    const { name, url, category, enabled } = req.body;
+    const { name, url, category, enabled, fetchIntervalMinutes, itemLimit, extractFullText } = req.body;
     const updateData = {};
     
+    if (fetchIntervalMinutes !== undefined && !isValidFetchInterval(fetchIntervalMinutes)) {
+      return sendError(res, 400, 'fetchIntervalMinutes must be a positive integer or null');
+    }
+    
+    if (itemLimit !== undefined && !isValidItemLimit(itemLimit)) {
+      return sendError(res, 400, `itemLimit must be an integer between 1 and ${MAX_ITEM_LIMIT} or null`);
+    }
+    
+    const current = await db.collection('sources').findOne({ id: req.params.id });
+    
+    if (!current) {
+      return sendError(res, 404, 'Source not found');
+    }
+    
+    if (url !== undefined && url !== current.url) {
+      // A new URL is fetched just like a new source
+      if (!consumeRateLimit('sources', req, res)) return;
+      
+      const duplicate = await findDuplicateSource(url, current.id);
+      if (duplicate) {
+        return sendDuplicateSourceError(res, duplicate);
+      }
+      
+      try {
+        await validateFeedUrl(url);
+      } catch (error) {
+        return sendFeedValidationError(res, error);
+      }
+      
+      updateData.url = url;
+      updateData.normalizedUrl = normalizeSourceUrl(url);
+      // Cache validators and failure counts belong to the old feed
+      updateData.etag = null;
+      updateData.lastModified = null;
+      updateData.consecutiveFailures = 0;
+      updateData.lastError = null;
+    }
+    
     if (name !== undefined) updateData.name = name;
-    if (url !== undefined) updateData.url = url;
     if (category !== undefined) updateData.category = category;
     if (enabled !== undefined) updateData.enabled = enabled;
+    // Re-enabling a source gives it a clean slate
+    if (enabled === true) {
+      updateData.consecutiveFailures = 0;
+      updateData.disabledReason = null;
+    }
+    // null falls back to the scheduler's default interval
+    if (fetchIntervalMinutes !== undefined) updateData.fetchIntervalMinutes = fetchIntervalMinutes;
+    // null falls back to DEFAULT_ITEM_LIMIT
+    if (itemLimit !== undefined) updateData.itemLimit = itemLimit;
+    // false sends only the feed's teaser text to the LLM (e.g. for paywalled sites)
+    if (extractFullText !== undefined) updateData.extractFullText = extractFullText;
     
-    const result = await db.collection('sources').updateOne(
-      { id: req.params.id },
-      { $set: updateData }
-    );
+    let result;
+    const written = await writeSource(res, url, async () => {
+      result = await db.collection('sources').updateOne(
+        { id: req.params.id },
+        { $set: updateData }
+      );
+    });
+    if (!written) return;
     
     if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'Source not found' });
+      return sendError(res, 404, 'Source not found');
+    }
+    
+    const updatedSource = await db.collection('sources').findOne({ id: req.params.id });
+    res.json(updatedSource);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Delete news source
+app.delete('/api/sources/:id', requireAdmin, rateLimit('deletes'), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.collection('sources').deleteOne({ id: req.params.id });
+    
+    if (result.deletedCount === 0) {
+      return sendError(res, 404, 'Source not found');
+    }
+    
+    // Raw items stay: existing articles are verified and updated from them.
+    // Unprocessed ones are only picked up when their source is fetched, so
+    // the deleted source's backlog is never generated.
+    res.json({ message: 'Source deleted successfully' });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// OUTBOUND REQUESTS
+// ============================================
+
+// URLs from feeds, extracted pages and webhooks are untrusted, so requests to them
+// must not reach loopback, link-local or private addresses. ALLOW_PRIVATE_FETCH=true
+// lifts this, e.g. for a development setup with everything on localhost.
+const ALLOW_PRIVATE_FETCH = process.env.ALLOW_PRIVATE_FETCH === 'true';
+const MAX_REDIRECTS = 5;
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched by the IPv4 rules
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Throw unless the URL is http(s) and every address its host resolves to is public
+async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http and https URLs are supported');
+  }
+  
+  if (ALLOW_PRIVATE_FETCH) {
+    return parsed;
+  }
+  
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+  
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${parsed.hostname} resolves to a private or reserved address`);
+  }
+  return parsed;
+}
+
+// fetch() with every hop checked by assertPublicUrl. Redirects are followed by
+// hand (up to MAX_REDIRECTS); with `redirect: 'manual'` the 3xx response is returned.
+async function guardedFetch(url, options = {}) {
+  let current = url;
+  
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current);
+    const response = await fetch(current, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+    
+    if (options.redirect === 'manual' || response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    
+    if (hop >= MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    
+    if (response.body) await response.body.cancel();
+    current = new URL(location, current).href;
+  }
+}
+
+// Read a response body without buffering more than maxBytes of it. A larger
+// body throws, or with `truncate` is cut off at maxBytes. Resolves to a Buffer.
+async function readLimitedBody(response, maxBytes, { truncate = false } = {}) {
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      if (!truncate) {
+        throw new Error(`Response is larger than ${maxBytes} bytes`);
+      }
+      chunks.push(value.subarray(0, value.length - (size - maxBytes)));
+      break;
+    }
+    chunks.push(value);
+  }
+  
+  return Buffer.concat(chunks);
+}
+
+// ============================================
+// FEED FORMATS & DISCOVERY
+// ============================================
+
+const FEED_ACCEPT_HEADER = 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, application/json;q=0.8, */*;q=0.7';
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json'];
+
+// Parse an RSS, Atom or JSON Feed response into rss-parser's shape: { title, format, items }
+async function parseFeedBody(text, contentType = '') {
+  const body = text.trim();
+  
+  if (/json/i.test(contentType) || body.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      throw new Error('Invalid JSON');
+    }
+    
+    if (!data || !/jsonfeed\.org/.test(data.version || '') || !Array.isArray(data.items)) {
+      throw new Error('JSON response is not a JSON Feed');
+    }
+    
+    return { title: data.title || null, format: 'json', items: data.items.map(normalizeJsonFeedItem) };
+  }
+  
+  const feed = await parser.parseString(body);
+  return { ...feed, format: /<feed[\s>]/.test(body.substring(0, 1000)) ? 'atom' : 'rss' };
+}
+
+// Map a JSON Feed item (versions 1 and 1.1) onto the fields rss-parser produces
+function normalizeJsonFeedItem(item) {
+  const html = item.content_html || '';
+  const text = item.content_text || item.summary || html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const imageAttachment = (item.attachments || []).find(a => /^image\//.test(a.mime_type || ''));
+  const image = item.image || item.banner_image || (imageAttachment && imageAttachment.url);
+  
+  return {
+    guid: item.id !== undefined ? String(item.id) : undefined,
+    title: item.title || '',
+    link: item.url || item.external_url,
+    content: html || text,
+    contentSnippet: text,
+    isoDate: item.date_published || item.date_modified,
+    categories: item.tags,
+    enclosure: image ? { url: image } : undefined
+  };
+}
+
+function isHtmlResponse(text, contentType = '') {
+  return /html/i.test(contentType) || /^\s*(<!doctype html|<html)/i.test(text);
+}
+
+// Feeds a web page advertises with <link rel="alternate" type="..." href="...">,
+// resolved against the page URL
+function discoverFeedLinks(html, pageUrl) {
+  const candidates = [];
+  
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    const type = (attributes.type || '').toLowerCase().split(';')[0].trim();
+    
+    if (!rel.includes('alternate') || !FEED_LINK_TYPES.includes(type) || !attributes.href) continue;
+    
+    try {
+      const url = new URL(attributes.href, pageUrl).href;
+      if (!candidates.some(c => c.url === url)) {
+        candidates.push({ url, title: attributes.title || null, type });
+      }
+    } catch (error) {
+      // Ignore unparseable hrefs
+    }
+  }
+  
+  return candidates;
+}
+
+function feedFetchError(error) {
+  return error.name === 'TimeoutError' ? `Timed out after ${FEED_TIMEOUT_MS}ms` : error.message;
+}
+
+// Fetch a URL and work out whether it is a feed or a page that links to feeds.
+// Resolves to { url, feed } for feeds and { url, candidates } for web pages.
+async function inspectFeedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http and https feed URLs are supported');
+  }
+  
+  let response;
+  let text;
+  try {
+    response = await guardedFetch(parsed.href, {
+      headers: { 'User-Agent': 'NewsAggregator/1.0', 'Accept': FEED_ACCEPT_HEADER },
+      signal: AbortSignal.timeout(FEED_TIMEOUT_MS)
+    });
+    text = (await readLimitedBody(response, FEED_MAX_BYTES)).toString('utf8');
+  } catch (error) {
+    throw new Error(feedFetchError(error));
+  }
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  const contentType = response.headers.get('content-type') || '';
+  
+  if (isHtmlResponse(text, contentType)) {
+    return { url: parsed.href, candidates: discoverFeedLinks(text, response.url || parsed.href) };
+  }
+  
+  try {
+    return { url: parsed.href, feed: await parseFeedBody(text, contentType) };
+  } catch (error) {
+    throw new Error(`Not a readable feed: ${error.message}`);
+  }
+}
+
+// Check a feed URL before it is saved as a source. Resolves to { title, format, itemCount };
+// for a web page the error lists the feeds it links to in `error.candidates`.
+async function validateFeedUrl(url) {
+  const result = await inspectFeedUrl(url);
+  
+  if (result.candidates) {
+    const error = new Error(result.candidates.length > 0
+      ? `${url} is a web page; choose one of the ${result.candidates.length} feed(s) it links to`
+      : `${url} is a web page and does not link to any feeds`);
+    error.candidates = result.candidates;
+    throw error;
+  }
+  
+  return { title: result.feed.title || null, format: result.feed.format, itemCount: result.feed.items.length };
+}
+
+// A web page gets code FEED_NOT_FOUND with the feeds it links to as details
+function sendFeedValidationError(res, error) {
+  return error.candidates
+    ? sendError(res, 400, error.message, { code: 'FEED_NOT_FOUND', details: { candidates: error.candidates } })
+    : sendError(res, 400, `Invalid feed URL: ${error.message}`, { code: 'INVALID_FEED' });
+}
+
+// Find the feeds a website offers (admin). A feed URL is returned as its own single candidate.
+app.get('/api/sources/discover', requireAdmin, rateLimit('sources'), validate({
+  query: { type: 'object', properties: { url: { type: 'string', format: 'uri', maxLength: 2000 } }, required: ['url'] }
+}), async (req, res) => {
+  try {
+    const { url } = req.query;
+    
+    let result;
+    try {
+      result = await inspectFeedUrl(url);
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+    
+    if (result.feed) {
+      return res.json({
+        url: result.url,
+        isFeed: true,
+        candidates: [{ url: result.url, title: result.feed.title || null, format: result.feed.format, itemCount: result.feed.items.length, valid: true }]
+      });
+    }
+    
+    // Check each advertised feed so clients only offer ones that work
+    const candidates = [];
+    for (const candidate of result.candidates) {
+      try {
+        const { title, format, itemCount } = await validateFeedUrl(candidate.url);
+        candidates.push({ ...candidate, title: candidate.title || title, format, itemCount, valid: true });
+      } catch (error) {
+        candidates.push({ ...candidate, valid: false, error: error.message });
+      }
+    }
+    
+    res.json({ url: result.url, isFeed: false, candidates });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// OPML IMPORT / EXPORT
+// ============================================
+
+const OPML_MAX_SIZE = '2mb';
+// Feeds validated at the same time during an import
+const OPML_IMPORT_CONCURRENCY = 5;
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    if (named[entity.toLowerCase()]) return named[entity.toLowerCase()];
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+    // Out-of-range references (e.g. &#99999999;) are left as written
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  });
+}
+
+// Feeds in an OPML document as [{ url, name, category }]. Outlines without an
+// xmlUrl are folders; the nearest folder names the category of the feeds inside it.
+function parseOpml(text) {
+  if (!/<opml[\s>]/i.test(text)) {
+    throw new Error('Not an OPML document');
+  }
+  
+  const feeds = [];
+  const folders = [];
+  const tagPattern = /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi;
+  let match;
+  
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (match[0].startsWith('</')) {
+      folders.pop();
+      continue;
+    }
+    
+    const attributes = {};
+    for (const [, name, double, single] of match[1].matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[name.toLowerCase()] = decodeXmlEntities(double !== undefined ? double : single).trim();
+    }
+    
+    const selfClosing = match[2] === '/';
+    
+    if (attributes.xmlurl) {
+      // OPML 2.0 `category` attributes are comma-separated slash paths, e.g. "/Tech/AI"
+      const categoryPath = (attributes.category || '').split(',')[0].split('/').filter(Boolean);
+      const folder = [...folders].reverse().find(Boolean);
+      
+      feeds.push({
+        url: attributes.xmlurl,
+        name: attributes.text || attributes.title || null,
+        category: (categoryPath[0] || folder || 'general').toLowerCase()
+      });
+      
+      if (!selfClosing) folders.push(null);
+    } else if (!selfClosing) {
+      folders.push(attributes.text || attributes.title || null);
+    }
+  }
+  
+  return feeds;
+}
+
+function renderOpml(sources, title) {
+  const byCategory = new Map();
+  for (const source of sources) {
+    const category = source.category || 'general';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(source);
+  }
+  
+  const folders = [...byCategory.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([category, categorySources]) => {
+      const outlines = categorySources
+        .map(source => `      <outline type="rss" text="${escapeHtml(source.name)}" title="${escapeHtml(source.name)}" xmlUrl="${escapeHtml(source.url)}" category="/${escapeHtml(category)}"/>`)
+        .join('\n');
+      
+      return `    <outline text="${escapeHtml(category)}" title="${escapeHtml(category)}">\n${outlines}\n    </outline>`;
+    })
+    .join('\n');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${folders}
+  </body>
+</opml>
+`;
+}
+
+// JSON form of an OPML import; a raw XML body is parsed as is
+const OPML_IMPORT_BODY = {
+  type: 'object',
+  properties: { opml: { type: 'string' } },
+  additionalProperties: false
+};
+
+// Import feeds from an OPML file, sent either as the raw request body or as { opml } JSON.
+// Every feed is validated and URLs that are already sources are skipped.
+app.post('/api/sources/import',
+  requireAdmin,
+  rateLimit('sources'),
+  express.text({ type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'], limit: OPML_MAX_SIZE }),
+  validate({ query: NO_INPUT }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string') {
+        const details = validateSchema(req.body === undefined ? {} : req.body, OPML_IMPORT_BODY, 'body');
+        if (details.length > 0) {
+          return sendError(res, 400, details.join('; '), { details });
+        }
+      }
+      
+      const text = typeof req.body === 'string' ? req.body : req.body && req.body.opml;
+      
+      if (!text || typeof text !== 'string') {
+        return sendError(res, 400, 'An OPML document is required');
+      }
+      
+      let feeds;
+      try {
+        feeds = parseOpml(text);
+      } catch (error) {
+        return sendError(res, 400, error.message);
+      }
+      
+      if (feeds.length === 0) {
+        return sendError(res, 400, 'The OPML document contains no feeds');
+      }
+      
+      const existing = await db.collection('sources').find({}, { projection: { url: 1 } }).toArray();
+      const knownUrls = new Set(existing.map(s => normalizeSourceUrl(s.url)));
+      const results = new Array(feeds.length);
+      const pending = [];
+      
+      feeds.forEach((feed, index) => {
+        const normalizedUrl = normalizeSourceUrl(feed.url);
+        
+        if (knownUrls.has(normalizedUrl)) {
+          results[index] = { url: feed.url, name: feed.name, category: feed.category, status: 'duplicate' };
+          return;
+        }
+        knownUrls.add(normalizedUrl);
+        pending.push({ feed, index, normalizedUrl });
+      });
+      
+      const importFeed = async ({ feed, index, normalizedUrl }) => {
+        const result = { url: feed.url, name: feed.name, category: feed.category };
+        
+        try {
+          const { title } = await validateFeedUrl(feed.url);
+          const source = {
+            id: generateId(),
+            name: feed.name || title || new URL(feed.url).hostname,
+            url: feed.url,
+            normalizedUrl,
+            category: feed.category,
+            enabled: true,
+            fetchIntervalMinutes: null,
+            itemLimit: null,
+            createdAt: new Date()
+          };
+          
+          await db.collection('sources').insertOne(source);
+          results[index] = { ...result, name: source.name, status: 'imported', sourceId: source.id };
+        } catch (error) {
+          // Added by another request while this feed was being validated
+          if (error.code === 11000) {
+            results[index] = { ...result, status: 'duplicate' };
+          } else {
+            results[index] = { ...result, status: 'invalid', error: error.message };
+          }
+        }
+      };
+      
+      // A few workers take feeds off the queue until it is empty
+      const workers = Array.from({ length: Math.min(OPML_IMPORT_CONCURRENCY, pending.length) }, async () => {
+        while (pending.length > 0) {
+          await importFeed(pending.shift());
+        }
+      });
+      await Promise.all(workers);
+      
+      const count = status => results.filter(r => r.status === status).length;
+      console.log(`✓ OPML import: ${count('imported')} imported, ${count('duplicate')} duplicates, ${count('invalid')} invalid`);
+      
+      res.json({
+        imported: count('imported'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        results
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  }
+);
+
+// Export sources as OPML, optionally filtered by ?category= and ?enabled=true|false
+app.get('/api/sources/export.opml', validate({
+  query: { type: 'object', properties: { category: { type: 'string', maxLength: 50 }, enabled: BOOLEAN_STRING } }
+}), async (req, res) => {
+  try {
+    const { category, enabled } = req.query;
+    const filter = {};
+    
+    if (category) filter.category = category;
+    if (enabled !== undefined) filter.enabled = enabled === 'true';
+    
+    const sources = await db.collection('sources').find(filter).sort({ name: 1 }).toArray();
+    
+    res.set('Content-Type', 'text/x-opml; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="sources.opml"');
+    res.send(renderOpml(sources, category ? `NewsAggregator sources: ${category}` : 'NewsAggregator sources'));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// SOURCE HEALTH
+// ============================================
+
+// Sources are disabled after this many consecutive failed fetches
+const SOURCE_MAX_FAILURES = parseInt(process.env.SOURCE_MAX_FAILURES) || 5;
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS) || 20000;
+// Feeds and pages checked for feeds are read up to this size
+const FEED_MAX_BYTES = parseInt(process.env.FEED_MAX_BYTES) || 5 * 1024 * 1024;
+const SOURCE_HEALTH_RETENTION_DAYS = 30;
+
+// Fetch a source's feed with a conditional GET and record the outcome.
+// Returns { feed, check }; `feed` is null when the fetch failed or nothing changed.
+async function fetchSourceFeed(source) {
+  const headers = {
+    'User-Agent': 'NewsAggregator/1.0',
+    'Accept': FEED_ACCEPT_HEADER
+  };
+  if (source.etag) headers['If-None-Match'] = source.etag;
+  if (source.lastModified) headers['If-Modified-Since'] = source.lastModified;
+  
+  const check = {
+    sourceId: source.id,
+    fetchedAt: new Date(),
+    ok: false,
+    notModified: false,
+    httpStatus: null,
+    itemCount: 0,
+    responseTimeMs: null,
+    error: null
+  };
+  const startedAt = Date.now();
+  let feed = null;
+  let cacheHeaders = {};
+  
+  try {
+    const response = await guardedFetch(source.url, {
+      headers,
+      signal: AbortSignal.timeout(FEED_TIMEOUT_MS)
+    });
+    check.httpStatus = response.status;
+    
+    if (response.status === 304) {
+      check.ok = true;
+      check.notModified = true;
+    } else if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    } else {
+      const body = await readLimitedBody(response, FEED_MAX_BYTES);
+      feed = await parseFeedBody(body.toString('utf8'), response.headers.get('content-type') || '');
+      check.ok = true;
+      check.itemCount = feed.items.length;
+      cacheHeaders = {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      };
+    }
+  } catch (error) {
+    check.error = feedFetchError(error);
+  }
+  
+  check.responseTimeMs = Date.now() - startedAt;
+  await recordSourceHealth(source, check, cacheHeaders);
+  
+  return { feed, check };
+}
+
+// Update the health fields on the source, append to its history and
+// auto-disable it once it keeps failing
+async function recordSourceHealth(source, check, cacheHeaders) {
+  const updateData = {
+    lastFetchedAt: check.fetchedAt,
+    lastResponseTimeMs: check.responseTimeMs,
+    lastHttpStatus: check.httpStatus
+  };
+  
+  if (check.ok) {
+    updateData.lastSuccessAt = check.fetchedAt;
+    updateData.consecutiveFailures = 0;
+    updateData.lastError = null;
+    
+    if (!check.notModified) {
+      updateData.lastItemCount = check.itemCount;
+      updateData.etag = cacheHeaders.etag || null;
+      updateData.lastModified = cacheHeaders.lastModified || null;
+    }
+  } else {
+    const failures = (source.consecutiveFailures || 0) + 1;
+    updateData.consecutiveFailures = failures;
+    updateData.lastError = check.error;
+    
+    if (failures >= SOURCE_MAX_FAILURES) {
+      updateData.enabled = false;
+      updateData.disabledReason = `Disabled after ${failures} consecutive failures: ${check.error}`;
+      updateData.autoDisabledAt = check.fetchedAt;
+      console.log(`  ⚠️  Disabled ${source.name} after ${failures} consecutive failures`);
+    }
+  }
+  
+  await db.collection('sources').updateOne({ id: source.id }, { $set: updateData });
+  await db.collection('source_health').insertOne({ ...check });
+}
+
+// Get a source's health summary and fetch history
+app.get('/api/sources/:id/health', requireAdmin, validate({
+  params: ID_PARAMS,
+  query: { type: 'object', properties: { limit: limitSchema(500) } }
+}), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const source = await db.collection('sources').findOne({ id: req.params.id });
+    
+    if (!source) {
+      return sendError(res, 404, 'Source not found');
+    }
+    
+    const history = await db.collection('source_health')
+      .find({ sourceId: source.id }, { projection: { _id: 0 } })
+      .sort({ fetchedAt: -1 })
+      .limit(parseInt(limit))
+      .toArray();
+    
+    const successful = history.filter(h => h.ok);
+    const averageResponseTimeMs = successful.length
+      ? Math.round(successful.reduce((sum, h) => sum + h.responseTimeMs, 0) / successful.length)
+      : null;
+    
+    res.json({
+      sourceId: source.id,
+      name: source.name,
+      enabled: source.enabled,
+      lastFetchedAt: source.lastFetchedAt || null,
+      lastSuccessAt: source.lastSuccessAt || null,
+      consecutiveFailures: source.consecutiveFailures || 0,
+      lastError: source.lastError || null,
+      lastItemCount: source.lastItemCount ?? null,
+      lastResponseTimeMs: source.lastResponseTimeMs ?? null,
+      disabledReason: source.disabledReason || null,
+      maxConsecutiveFailures: SOURCE_MAX_FAILURES,
+      successRate: history.length ? successful.length / history.length : null,
+      averageResponseTimeMs,
+      history
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// RAW FEED ITEMS
+// ============================================
+
+// Items per feed considered on each fetch unless the source sets `itemLimit`
+const DEFAULT_ITEM_LIMIT = parseInt(process.env.DEFAULT_ITEM_LIMIT) || 5;
+const MAX_ITEM_LIMIT = 100;
+// Items that fail generation this many times are not retried
+const MAX_GENERATION_ATTEMPTS = 3;
+
+// Upsert feed items into `raw_items` and return the source's items not processed yet
+async function storeRawItems(source, items) {
+  const now = new Date();
+  const docs = items.map(item => buildRawItem(source, item, now));
+  
+  if (docs.length > 0) {
+    await db.collection('raw_items').bulkWrite(docs.map(doc => ({
+      updateOne: {
+        filter: { id: doc.id },
+        update: { $setOnInsert: doc, $set: { lastSeenAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  
+  return unprocessedRawItems(source);
+}
+
+// Every unprocessed item of the source, not just those in the latest response, so
+// items left over by the story cap or a budget stop are picked up even after the
+// feed answers 304 or drops them. The newest MAX_ITEM_LIMIT are taken.
+async function unprocessedRawItems(source) {
+  return db.collection('raw_items')
+    .find({ sourceId: source.id, processedAt: null, generationAttempts: { $lt: MAX_GENERATION_ATTEMPTS } })
+    .sort({ publishedAt: -1 })
+    .limit(MAX_ITEM_LIMIT)
+    .toArray();
+}
+
+// Items are keyed by a hash of the source and the item's GUID (or link)
+function buildRawItem(source, item, now) {
+  const key = item.guid || item.id || item.link || item.title;
+  
+  return {
+    id: hashString(`${source.id}:${key}`),
+    sourceId: source.id,
+    sourceName: source.name,
+    guid: item.guid || item.id || null,
+    link: item.link || null,
+    title: cleanTitle(item.title || ''),
+    content: cleanContent(item.contentSnippet || item.summary || ''),
+    publishedAt: new Date(item.pubDate || item.isoDate || Date.now()),
+    imageUrl: extractImageUrl(item),
+    item: sanitizeForMongo(item),
+    firstSeenAt: now,
+    processedAt: null,
+    articleId: null,
+    generationAttempts: 0
+  };
+}
+
+function extractImageUrl(item) {
+  return item.enclosure?.url || 
+         item['media:content']?.$?.url || 
+         item['media:thumbnail']?.$?.url ||
+         item.image?.url || 
+         item.content?.match(/<img[^>]+src="([^">]+)"/)?.[1] ||
+         null;
+}
+
+// Record the outcome of generating an article from these raw items
+async function markRawItemsProcessed(rawItemIds, { articleId, clusterId = null, outcome }) {
+  await db.collection('raw_items').updateMany(
+    { id: { $in: rawItemIds } },
+    { $set: { processedAt: new Date(), articleId, clusterId, outcome } }
+  );
+}
+
+async function markRawItemsFailed(rawItemIds, message) {
+  await db.collection('raw_items').updateMany(
+    { id: { $in: rawItemIds } },
+    { $inc: { generationAttempts: 1 }, $set: { lastError: message } }
+  );
+}
+
+// Browse the raw items stored for a source
+app.get('/api/sources/:id/items', requireAdmin, validate({
+  params: ID_PARAMS,
+  query: {
+    type: 'object',
+    properties: {
+      limit: limitSchema(500),
+      before: DATE_STRING,
+      status: { type: 'string', enum: ['processed', 'unprocessed'] }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { limit = 50, before, status } = req.query;
+    const source = await db.collection('sources').findOne({ id: req.params.id });
+    
+    if (!source) {
+      return sendError(res, 404, 'Source not found');
+    }
+    
+    const filter = { sourceId: source.id };
+    if (before) filter.publishedAt = { $lt: new Date(before) };
+    if (status === 'processed') filter.processedAt = { $ne: null };
+    if (status === 'unprocessed') filter.processedAt = null;
+    
+    const items = await db.collection('raw_items')
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ publishedAt: -1 })
+      .limit(parseInt(limit))
+      .toArray();
+    
+    res.json(items);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// ARTICLES API ENDPOINTS
+// ============================================
+
+const ARTICLES_MAX_LIMIT = 100;
+
+// Get articles, newest first, with filters. Responds with an array of articles;
+// ?paginate=cursor responds with { articles, nextCursor, total } instead. For signed-in
+// users muted sources and categories are left out (unless ?includeMuted=true),
+// ?unread=true skips articles they have read, and each article carries `userState`.
+// ?topicId= only accepts the caller's own topics.
+app.get('/api/articles', validate({
+  query: {
+    type: 'object',
+    properties: {
+      topicId: ID_STRING,
+      category: { type: 'string', maxLength: 50 },
+      source: { type: 'string', maxLength: 200 },
+      since: DATE_STRING,
+      from: DATE_STRING,
+      to: DATE_STRING,
+      paginate: { type: 'string', enum: ['cursor'] },
+      cursor: { type: 'string', maxLength: 500 },
+      fields: { type: 'string', pattern: '^[\\w.,\\s]*$', maxLength: 500 },
+      status: { type: 'string', enum: ['published', 'held'] },
+      unread: BOOLEAN_STRING,
+      includeMuted: BOOLEAN_STRING,
+      limit: limitSchema(ARTICLES_MAX_LIMIT),
+      minSources: { type: 'integer', minimum: 1 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { topicId, category, source, since, from, to, paginate, cursor, fields, status, unread, includeMuted } = req.query;
+    const limit = req.query.limit ?? 50;
+    const minSources = req.query.minSources ?? null;
+    
+    if (status !== undefined && (!req.user || req.user.role !== 'admin')) {
+      return sendError(res, 403, 'Only admins can filter by status');
+    }
+    
+    if (unread === 'true' && !req.user) {
+      return sendError(res, 401, 'Authentication required for unread articles');
+    }
+    
+    if (topicId && !req.user) {
+      return sendError(res, 401, 'Authentication required to filter by topic');
+    }
+    
+    if (topicId && !await findOwnTopic(req.user, topicId)) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    // Admins can list articles held back by verification with ?status=held
+    const conditions = [status ? { status } : PUBLISHED_FILTER];
+    
+    if (topicId) conditions.push({ topicIds: topicId });
+    if (category) conditions.push(await categoryFilter(category));
+    if (source) conditions.push(sourceNameFilter(source));
+    // Articles have at least N sources when the (N-1)th array element exists
+    if (minSources) conditions.push({ [`sources.${minSources - 1}`]: { $exists: true } });
+    // `since` polls for articles added or updated after the client's last check
+    if (since) {
+      conditions.push({ $or: [{ createdAt: { $gt: new Date(since) } }, { updatedAt: { $gt: new Date(since) } }] });
+    }
+    if (from) conditions.push({ publishedAt: { $gte: new Date(from) } });
+    if (to) conditions.push({ publishedAt: { $lte: new Date(to) } });
+    if (req.user && includeMuted !== 'true') conditions.push(...muteConditions(req.user));
+    const readStages = unread === 'true' ? unreadStages(req.user.id) : [];
+    
+    const filter = { $and: conditions };
+    const pageConditions = [...conditions];
+    
+    if (cursor) {
+      const position = decodeArticleCursor(cursor);
+      
+      if (!position) {
+        return sendError(res, 400, 'Invalid cursor');
+      }
+      
+      pageConditions.push({
+        $or: [
+          { publishedAt: { $lt: position.publishedAt } },
+          { publishedAt: position.publishedAt, id: { $lt: position.id } }
+        ]
+      });
+    }
+    
+    // Topic matches name other users' topics and keywords, so they are never returned
+    const projection = fields ? articleFieldsProjection(fields) : { _id: 0, topicMatches: 0 };
+    if (!projection) {
+      return sendError(res, 400, 'fields contains an empty path');
+    }
+    
+    const [counts, articles] = await Promise.all([
+      // Only the paginated response reports a total
+      paginate === 'cursor'
+        ? db.collection('articles').aggregate([{ $match: filter }, ...readStages, { $count: 'total' }]).toArray()
+        : [],
+      db.collection('articles')
+        .aggregate([
+          { $match: { $and: pageConditions } },
+          { $sort: { publishedAt: -1, id: -1 } },
+          ...readStages,
+          { $limit: limit + 1 },
+          { $project: projection }
+        ])
+        .toArray()
+    ]);
+    const total = counts.length > 0 ? counts[0].total : 0;
+    
+    const hasMore = articles.length > limit;
+    const page = articles.slice(0, limit);
+    const results = req.user ? await withUserState(page, req.user) : page;
+    
+    if (paginate !== 'cursor') {
+      return res.json(results);
+    }
+    
+    res.json({
+      articles: results,
+      nextCursor: hasMore ? encodeArticleCursor(page[page.length - 1]) : null,
+      total
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Inclusion projection for ?fields=, or null when a path has an empty segment.
+// id and publishedAt are always returned because the cursor is built from them.
+// MongoDB rejects overlapping paths, so a path inside another requested one
+// (sources.name next to sources) is dropped, and so is topicMatches.
+function articleFieldsProjection(fields) {
+  const paths = ['id', 'publishedAt', ...fields.split(',').map(f => f.trim()).filter(Boolean)];
+  
+  if (paths.some(path => path.split('.').includes(''))) {
+    return null;
+  }
+  
+  const projection = { _id: 0 };
+  const included = [];
+  
+  for (const path of paths.sort((a, b) => a.split('.').length - b.split('.').length)) {
+    if (path.split('.')[0] === 'topicMatches') continue;
+    if (included.some(parent => path === parent || path.startsWith(`${parent}.`))) continue;
+    
+    included.push(path);
+    projection[path] = 1;
+  }
+  
+  return projection;
+}
+
+// Get single article
+app.get('/api/articles/:id', validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id }, { projection: { topicMatches: 0 } });
+    if (!canViewArticle(article, req.user)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    res.json(article);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Held articles are only visible to admins
+function canViewArticle(article, user) {
+  return Boolean(article) && (article.status !== 'held' || Boolean(user && user.role === 'admin'));
+}
+
+// Articles from a source, matched case-insensitively by name
+function sourceNameFilter(name) {
+  return { 'sources.name': { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') } };
+}
+
+// Older articles have no `categories`, so also match on their sources' category
+async function categoryFilter(category) {
+  const categorySources = await db.collection('sources')
+    .find({ category }, { projection: { id: 1 } })
+    .toArray();
+  
+  return {
+    $or: [
+      { categories: category },
+      { 'sources.sourceId': { $in: categorySources.map(s => s.id) } }
+    ]
+  };
+}
+
+// Cursors are opaque to clients: base64url of the last article's sort key
+function encodeArticleCursor(article) {
+  const position = { publishedAt: new Date(article.publishedAt).toISOString(), id: article.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeArticleCursor(cursor) {
+  try {
+    const { publishedAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(publishedAt);
+    
+    if (typeof id !== 'string' || isNaN(date)) {
+      return null;
+    }
+    
+    return { publishedAt: date, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================
+// READING STATE
+// ============================================
+
+const BOOKMARKS_MAX_LIMIT = 100;
+
+// Per-user read and bookmark flags live in `article_states`, one document per
+// user and article; muted sources and categories are stored on the user as `mutes`
+async function findVisibleArticle(req, id) {
+  const article = await db.collection('articles').findOne({ id }, { projection: { _id: 0, id: 1, status: 1 } });
+  return article && (article.status !== 'held' || req.user.role === 'admin') ? article : null;
+}
+
+async function setArticleState(req, res, changes) {
+  try {
+    if (!await findVisibleArticle(req, req.params.id)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const state = await db.collection('article_states').findOneAndUpdate(
+      { userId: req.user.id, articleId: req.params.id },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+    );
+    
+    res.json(state);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+}
+
+app.put('/api/articles/:id/read', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticleState(req, res, { read: true, readAt: new Date() });
+});
+
+app.delete('/api/articles/:id/read', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticleState(req, res, { read: false, readAt: null });
+});
+
+app.put('/api/articles/:id/bookmark', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticleState(req, res, { bookmarked: true, bookmarkedAt: new Date() });
+});
+
+app.delete('/api/articles/:id/bookmark', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticleState(req, res, { bookmarked: false, bookmarkedAt: null });
+});
+
+// Mark several articles read at once, e.g. when a client syncs
+app.post('/api/articles/read', requireAuth, validate({
+  body: {
+    type: 'object',
+    properties: { articleIds: { type: 'array', items: ID_STRING, minItems: 1, maxItems: ARTICLES_MAX_LIMIT } },
+    required: ['articleIds']
+  }
+}), async (req, res) => {
+  try {
+    const { articleIds } = req.body;
+    
+    const now = new Date();
+    const result = await db.collection('article_states').bulkWrite(articleIds.map(articleId => ({
+      updateOne: {
+        filter: { userId: req.user.id, articleId },
+        update: { $set: { read: true, readAt: now, updatedAt: now } },
+        upsert: true
+      }
+    })));
+    
+    res.json({ updated: result.upsertedCount + result.modifiedCount });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// The caller's bookmarked articles, most recently bookmarked first
+app.get('/api/bookmarks', requireAuth, validate({
+  query: { type: 'object', properties: { page: { type: 'integer', minimum: 1 }, limit: limitSchema(BOOKMARKS_MAX_LIMIT) } }
+}), async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const filter = { userId: req.user.id, bookmarked: true };
+    
+    const [total, states] = await Promise.all([
+      db.collection('article_states').countDocuments(filter),
+      db.collection('article_states')
+        .find(filter)
+        .sort({ bookmarkedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray()
+    ]);
+    
+    const articles = await db.collection('articles')
+      .find({ id: { $in: states.map(s => s.articleId) } }, { projection: { _id: 0, topicMatches: 0 } })
+      .toArray();
+    const byId = new Map(articles.map(article => [article.id, article]));
+    
+    res.json({
+      // Bookmarks keep their order; an article that was removed is returned as null
+      bookmarks: states.map(state => ({
+        articleId: state.articleId,
+        bookmarkedAt: state.bookmarkedAt,
+        read: !!state.read,
+        article: byId.get(state.articleId) || null
+      })),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+app.get('/api/mutes', requireAuth, (req, res) => {
+  res.json(req.user.mutes || { sources: [], categories: [] });
+});
+
+// Replace the caller's muted source ids and/or categories
+const MUTE_LIST = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 }, maxItems: 500 };
+
+app.put('/api/mutes', requireAuth, validate({
+  body: { type: 'object', properties: { sources: MUTE_LIST, categories: MUTE_LIST } }
+}), async (req, res) => {
+  try {
+    const { sources, categories } = req.body;
+    const mutes = { sources: [], categories: [], ...req.user.mutes };
+    
+    for (const [name, value] of [['sources', sources], ['categories', categories]]) {
+      if (value !== undefined) mutes[name] = [...new Set(value.map(v => v.trim()))];
+    }
+    
+    await db.collection('users').updateOne({ id: req.user.id }, { $set: { mutes } });
+    res.json(mutes);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Conditions hiding what the user muted: articles in a muted category, and
+// articles whose sources are all muted (stories with other sources still show)
+function muteConditions(user) {
+  const mutes = user.mutes || {};
+  const conditions = [];
+  
+  if (mutes.categories && mutes.categories.length > 0) {
+    conditions.push({ categories: { $nin: mutes.categories } });
+  }
+  if (mutes.sources && mutes.sources.length > 0) {
+    conditions.push({ sources: { $elemMatch: { sourceId: { $nin: mutes.sources } } } });
+  }
+  
+  return conditions;
+}
+
+// Pipeline stages dropping articles the user has read. Each article is
+// looked up on its own, so the query doesn't grow with the user's history.
+function unreadStages(userId) {
+  return [
+    {
+      $lookup: {
+        from: 'article_states',
+        let: { articleId: '$id' },
+        pipeline: [
+          { $match: { userId, read: true, $expr: { $eq: ['$articleId', '$$articleId'] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'readStates'
+      }
+    },
+    { $match: { readStates: { $size: 0 } } },
+    { $unset: 'readStates' }
+  ];
+}
+
+// Add the caller's { read, bookmarked } flags to each article as `userState`
+async function withUserState(articles, user) {
+  const states = await db.collection('article_states')
+    .find({ userId: user.id, articleId: { $in: articles.map(a => a.id) } })
+    .toArray();
+  const byId = new Map(states.map(state => [state.articleId, state]));
+  
+  return articles.map(article => {
+    const state = byId.get(article.id);
+    return { ...article, userState: { read: !!(state && state.read), bookmarked: !!(state && state.bookmarked) } };
+  });
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+const SEARCH_SNIPPET_RADIUS = 80;
+const SEARCH_MAX_LIMIT = 100;
+
+// Full-text search over generated articles
+app.get('/api/search', validate({
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', minLength: 1, maxLength: 500 },
+      source: { type: 'string', maxLength: 200 },
+      category: { type: 'string', maxLength: 50 },
+      topicId: ID_STRING,
+      from: DATE_STRING,
+      to: DATE_STRING,
+      sort: { type: 'string', enum: ['relevance', 'date'] },
+      page: { type: 'integer', minimum: 1 },
+      limit: limitSchema(SEARCH_MAX_LIMIT)
+    },
+    required: ['q']
+  }
+}), async (req, res) => {
+  try {
+    const { q, source, category, topicId, from, to, sort = 'relevance' } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    
+    if (topicId && !req.user) {
+      return sendError(res, 401, 'Authentication required to filter by topic');
+    }
+    
+    if (topicId && !await findOwnTopic(req.user, topicId)) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    const filter = { $text: { $search: q }, ...PUBLISHED_FILTER };
+    
+    if (source) Object.assign(filter, sourceNameFilter(source));
+    if (category) Object.assign(filter, await categoryFilter(category));
+    
+    if (topicId) filter.topicIds = topicId;
+    
+    if (from || to) {
+      filter.publishedAt = {};
+      if (from) filter.publishedAt.$gte = new Date(from);
+      if (to) filter.publishedAt.$lte = new Date(to);
+    }
+    
+    const sortOrder = sort === 'date'
+      ? { publishedAt: -1 }
+      : { score: { $meta: 'textScore' }, publishedAt: -1 };
+    
+    const [total, articles] = await Promise.all([
+      db.collection('articles').countDocuments(filter),
+      db.collection('articles')
+        .find(filter, { projection: { _id: 0, topicMatches: 0, score: { $meta: 'textScore' } } })
+        .sort(sortOrder)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray()
+    ]);
+    
+    const terms = searchTerms(q);
+    
+    res.json({
+      query: q,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      results: articles.map(({ generatedContent, ...article }) => ({
+        ...article,
+        highlights: {
+          headline: highlightTerms(article.headline, terms),
+          summary: highlightTerms(article.summary, terms),
+          content: contentSnippet(stripSourcesSection(generatedContent), terms)
+        }
+      }))
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Words and quoted phrases from a $text query, without negated terms
+function searchTerms(query) {
+  const terms = [];
+  const phrasePattern = /(-?)"([^"]+)"/g;
+  let match;
+  
+  while ((match = phrasePattern.exec(query)) !== null) {
+    if (!match[1]) terms.push(match[2].trim());
+  }
+  
+  query
+    .replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+  
+  return terms.filter(Boolean);
+}
+
+// Matches the terms as word prefixes so stemmed matches ("rate" -> "rates") are highlighted too
+function termsRegex(terms) {
+  const alternatives = terms
+    .map(term => term.split(/\s+/).map(escapeRegex).join('\\s+'))
+    .sort((a, b) => b.length - a.length);
+  
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+// HTML-escape text and wrap matched terms in <mark>
+function highlightTerms(text, terms) {
+  if (!text || terms.length === 0) {
+    return escapeHtml(text || '');
+  }
+  
+  const regex = termsRegex(terms);
+  let result = '';
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    result += escapeHtml(text.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  
+  return result + escapeHtml(text.slice(lastIndex));
+}
+
+// A highlighted excerpt around the first match in the article body
+function contentSnippet(content, terms) {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  const match = terms.length > 0 ? termsRegex(terms).exec(text) : null;
+  const center = match ? match.index : 0;
+  
+  let start = Math.max(center - SEARCH_SNIPPET_RADIUS, 0);
+  let end = Math.min(center + SEARCH_SNIPPET_RADIUS * 2, text.length);
+  
+  // Don't cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1;
+  if (end < text.length) end = text.lastIndexOf(' ', end);
+  
+  return (start > 0 ? '…' : '') +
+    highlightTerms(text.slice(start, end), terms) +
+    (end < text.length ? '…' : '');
+}
+
+// ============================================
+// PUBLIC FEEDS
+// ============================================
+
+const FEED_DEFAULT_LIMIT = 50;
+const FEED_CACHE_SECONDS = 300;
+const FEED_CONTENT_TYPES = {
+  xml: 'application/rss+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+const FEED_QUERY = { type: 'object', properties: { limit: limitSchema(ARTICLES_MAX_LIMIT) } };
+
+// All articles
+app.get('/feeds/all.:format', validate({ query: FEED_QUERY }), async (req, res) => {
+  await sendArticleFeed(req, res, { title: 'NewsAggregator', filter: {} });
+});
+
+// Topics are private to their owner, so a topic's feed URL carries the
+// topic's `feedToken` as ?token= (returned with the topic)
+const TOPIC_FEED_QUERY = {
+  type: 'object',
+  properties: { ...FEED_QUERY.properties, token: { type: 'string', maxLength: 100 } },
+  required: ['token']
+};
+
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function feedTokenMatches(topic, token) {
+  if (!topic || !topic.feedToken) return false;
+  const expected = Buffer.from(topic.feedToken);
+  const candidate = Buffer.from(token);
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Give topics created before feed tokens existed a token of their own
+async function initializeTopicFeedTokens() {
+  const topics = await db.collection('topics').find({ feedToken: { $exists: false } }, { projection: { id: 1 } }).toArray();
+  
+  for (const topic of topics) {
+    await db.collection('topics').updateOne(
+      { id: topic.id, feedToken: { $exists: false } },
+      { $set: { feedToken: generateFeedToken() } }
+    );
+  }
+}
+
+// Articles matching a topic
+app.get('/feeds/topic/:id.:format', validate({ params: ID_PARAMS, query: TOPIC_FEED_QUERY }), async (req, res) => {
+  try {
+    const topic = await db.collection('topics').findOne({ id: req.params.id });
+    
+    // A wrong token looks the same as a missing topic
+    if (!feedTokenMatches(topic, req.query.token)) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    await sendArticleFeed(req, res, { title: `NewsAggregator: ${topic.name}`, filter: { topicIds: topic.id } });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Articles in a source category
+const CATEGORY_FEED_PARAMS = {
+  type: 'object',
+  properties: { name: SOURCE_PROPERTIES.category, format: { type: 'string' } },
+  required: ['name', 'format']
+};
+
+app.get('/feeds/category/:name.:format', validate({ params: CATEGORY_FEED_PARAMS, query: FEED_QUERY }), async (req, res) => {
+  try {
+    const filter = await categoryFilter(req.params.name);
+    await sendArticleFeed(req, res, { title: `NewsAggregator: ${req.params.name}`, filter });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Render the newest matching articles in the requested format with caching headers.
+// Express answers conditional requests with 304 from the ETag / Last-Modified set here.
+async function sendArticleFeed(req, res, { title, filter }) {
+  try {
+    const { format } = req.params;
+    const limit = req.query.limit || FEED_DEFAULT_LIMIT;
+    
+    if (!FEED_CONTENT_TYPES[format]) {
+      return sendError(res, 404, 'Unknown feed format');
+    }
+    
+    const articles = await db.collection('articles')
+      .find({ ...filter, ...PUBLISHED_FILTER }, { projection: { _id: 0, topicMatches: 0 } })
+      .sort({ publishedAt: -1, id: -1 })
+      .limit(limit)
+      .toArray();
+    
+    const baseUrl = publicBaseUrl(req);
+    const feed = {
+      title,
+      homeUrl: baseUrl,
+      feedUrl: `${baseUrl}${req.originalUrl}`,
+      updatedAt: articles.reduce((latest, a) => {
+        const modified = new Date(a.updatedAt || a.createdAt);
+        return modified > latest ? modified : latest;
+      }, new Date(0)),
+      articles
+    };
+    
+    const body = format === 'atom'
+      ? renderAtomFeed(feed, baseUrl)
+      : format === 'json'
+        ? JSON.stringify(renderJsonFeed(feed, baseUrl), null, 2)
+        : renderRssFeed(feed, baseUrl);
+    
+    res.set({
+      'Content-Type': FEED_CONTENT_TYPES[format],
+      'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`
+    });
+    // An empty feed has no modification date to report
+    if (articles.length > 0) {
+      res.set('Last-Modified', feed.updatedAt.toUTCString());
+    }
+    res.send(body);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+}
+
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Article body as HTML paragraphs with [n] citations linked via `citationHref(source, n)`
+// and the original sources listed at the end
+function renderContentHtml(article, citationHref) {
+  const paragraphs = stripSourcesSection(article.generatedContent)
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean);
+  
+  const linkCitations = html => html.replace(/\[(\d+)\]/g, (match, n) => {
+    const source = article.sources[parseInt(n) - 1];
+    return source ? `<a href="${escapeHtml(citationHref(source, n))}">[${n}]</a>` : match;
+  });
+  
+  const body = paragraphs
+    .map(p => `<p>${linkCitations(escapeHtml(p)).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+  
+  const sourceList = article.sources
+    .map((source, i) => `<li id="source-${i + 1}"><a href="${escapeHtml(source.url)}">${escapeHtml(source.name)}</a></li>`)
+    .join('\n');
+  
+  return `${body}\n<h3>Sources</h3>\n<ol>\n${sourceList}\n</ol>`;
+}
+
+// Image URLs in feeds are absolute; anything but http(s) is left out
+function feedImageUrl(article, baseUrl) {
+  const url = absoluteImageUrl(article.imageUrl, baseUrl);
+  return url && safeUrl(url) !== '#' ? safeUrl(url) : null;
+}
+
+function articleFeedHtml(article, baseUrl) {
+  const imageUrl = feedImageUrl(article, baseUrl);
+  const image = imageUrl ? `<p><img src="${escapeHtml(imageUrl)}" alt=""></p>\n` : '';
+  // Feed readers render this HTML, so source links are sanitized like on the share page
+  const sources = article.sources.map(source => ({ ...source, url: safeUrl(source.url) }));
+  return image + renderContentHtml({ ...article, sources }, source => source.url);
+}
+
+function renderRssFeed(feed, baseUrl) {
+  const items = feed.articles.map(article => {
+    const link = `${baseUrl}/article/${article.id}`;
+    const imageUrl = feedImageUrl(article, baseUrl);
+    const enclosure = imageUrl
+      ? `\n      <enclosure url="${escapeHtml(imageUrl)}" type="${imageMimeType(imageUrl)}" length="0"/>`
+      : '';
+    const categories = (article.categories || [])
+      .map(c => `\n      <category>${escapeHtml(c)}</category>`)
+      .join('');
+    
+    return `    <item>
+      <title>${escapeHtml(article.headline)}</title>
+      <link>${escapeHtml(link)}</link>
+      <guid isPermaLink="true">${escapeHtml(link)}</guid>
+      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeHtml(article.summary || '')}</description>
+      <content:encoded>${escapeHtml(articleFeedHtml(article, baseUrl))}</content:encoded>${enclosure}${categories}
+    </item>`;
+  }).join('\n');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.title)}</description>
+    <atom:link href="${escapeHtml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtomFeed(feed, baseUrl) {
+  const entries = feed.articles.map(article => {
+    const link = `${baseUrl}/article/${article.id}`;
+    const imageUrl = feedImageUrl(article, baseUrl);
+    const enclosure = imageUrl
+      ? `\n    <link rel="enclosure" href="${escapeHtml(imageUrl)}" type="${imageMimeType(imageUrl)}"/>`
+      : '';
+    const related = article.sources
+      .map(source => `\n    <link rel="related" href="${escapeHtml(safeUrl(source.url))}" title="${escapeHtml(source.name)}"/>`)
+      .join('');
+    const categories = (article.categories || [])
+      .map(c => `\n    <category term="${escapeHtml(c)}"/>`)
+      .join('');
+    
+    return `  <entry>
+    <id>${escapeHtml(link)}</id>
+    <title>${escapeHtml(article.headline)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(link)}"/>${enclosure}${related}
+    <published>${new Date(article.publishedAt).toISOString()}</published>
+    <updated>${new Date(article.updatedAt || article.createdAt).toISOString()}</updated>
+    <summary>${escapeHtml(article.summary || '')}</summary>
+    <content type="html">${escapeHtml(articleFeedHtml(article, baseUrl))}</content>${categories}
+  </entry>`;
+  }).join('\n');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(feed.feedUrl)}</id>
+  <title>${escapeHtml(feed.title)}</title>
+  <updated>${feed.updatedAt.toISOString()}</updated>
+  <link rel="self" href="${escapeHtml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+  <author><name>NewsAggregator</name></author>
+${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, baseUrl) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: feed.articles.map(article => {
+      const imageUrl = feedImageUrl(article, baseUrl);
+      
+      return {
+        id: article.id,
+        url: `${baseUrl}/article/${article.id}`,
+        title: article.headline,
+        summary: article.summary,
+        content_html: articleFeedHtml(article, baseUrl),
+        image: imageUrl || undefined,
+        date_published: new Date(article.publishedAt).toISOString(),
+        date_modified: new Date(article.updatedAt || article.createdAt).toISOString(),
+        tags: article.categories,
+        attachments: imageUrl
+          ? [{ url: imageUrl, mime_type: imageMimeType(imageUrl) }]
+          : undefined,
+        // JSON Feed extensions are prefixed with an underscore
+        _sources: article.sources.map(source => ({ name: source.name, url: safeUrl(source.url) }))
+      };
+    })
+  };
+}
+
+function imageMimeType(url) {
+  const extension = (url.split('?')[0].match(/\.(\w+)$/) || [])[1];
+  const types = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+  return types[(extension || '').toLowerCase()] || 'image/jpeg';
+}
+
+// ============================================
+// TOPICS API ENDPOINTS
+// ============================================
+
+const KEYWORD_LIST = { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 100 };
+const TOPIC_PROPERTIES = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  keywords: KEYWORD_LIST,
+  excludeKeywords: KEYWORD_LIST,
+  minScore: { type: 'number', exclusiveMinimum: 0 }
+};
+
+// Get topics
+app.get('/api/topics', requireAuth, validate({
+  query: { type: 'object', properties: { userId: ID_STRING } }
+}), async (req, res) => {
+  try {
+    // Admins may look at other users' topics
+    const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id;
+    const filter = { userId };
+    
+    const topics = await db.collection('topics').find(filter).toArray();
+    res.json(topics);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Create topic
+app.post('/api/topics', requireAuth, validate({
+  body: { type: 'object', properties: TOPIC_PROPERTIES, required: ['name', 'keywords'] }
+}), async (req, res) => {
+  try {
+    const { name, minScore } = req.body;
+    const keywords = parseKeywordList(req.body.keywords);
+    const excludeKeywords = parseKeywordList(req.body.excludeKeywords || []);
+    
+    if (!keywords.some(isIncludedKeyword)) {
+      return sendError(res, 400, 'keywords must contain at least one keyword that is not an exclusion');
+    }
+    
+    const topic = {
+      id: generateId(),
+      name,
+      keywords,
+      excludeKeywords,
+      minScore: minScore || 1,
+      userId: req.user.id,
+      feedToken: generateFeedToken(),
+      createdAt: new Date(),
+    };
+    
+    await db.collection('topics').insertOne(topic);
+    const matchedArticles = await backfillTopicMatches(topic);
+    
+    res.status(201).json({ ...topic, matchedArticles });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Update topic (name, keywords, exclusions, threshold) and re-match articles
+app.put('/api/topics/:id', requireAuth, validate({
+  params: ID_PARAMS,
+  body: { type: 'object', properties: TOPIC_PROPERTIES }
+}), async (req, res) => {
+  try {
+    const { name, minScore } = req.body;
+    const updateData = {};
+    
+    if (req.body.keywords !== undefined) {
+      const keywords = parseKeywordList(req.body.keywords);
+      if (!keywords.some(isIncludedKeyword)) {
+        return sendError(res, 400, 'keywords must contain at least one keyword that is not an exclusion');
+      }
+      updateData.keywords = keywords;
+    }
+    
+    if (req.body.excludeKeywords !== undefined) {
+      updateData.excludeKeywords = parseKeywordList(req.body.excludeKeywords);
+    }
+    
+    if (minScore !== undefined) updateData.minScore = minScore;
+    if (name !== undefined) updateData.name = name;
+    updateData.updatedAt = new Date();
+    
+    const result = await db.collection('topics').updateOne(
+      topicOwnerFilter(req),
+      { $set: updateData }
+    );
+    
+    if (result.matchedCount === 0) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    const updatedTopic = await db.collection('topics').findOne({ id: req.params.id });
+    const matchedArticles = await backfillTopicMatches(updatedTopic);
+    
+    res.json({ ...updatedTopic, matchedArticles });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Replace a topic's feed token, e.g. after its feed URL was shared by mistake
+app.post('/api/topics/:id/feed-token', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const topic = await db.collection('topics').findOneAndUpdate(
+      topicOwnerFilter(req),
+      { $set: { feedToken: generateFeedToken(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!topic) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    res.json(topic);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Delete topic
+app.delete('/api/topics/:id', requireAuth, rateLimit('deletes'), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.collection('topics').deleteOne(topicOwnerFilter(req));
+    
+    if (result.deletedCount === 0) {
+      return sendError(res, 404, 'Topic not found');
+    }
+    
+    await db.collection('articles').updateMany(
+      { topicIds: req.params.id },
+      { $pull: { topicIds: req.params.id, topicMatches: { topicId: req.params.id } } }
+    );
+    
+    res.json({ message: 'Topic deleted successfully' });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Topics created before accounts existed belong to 'default' (or nobody); they
+// are handed to the admin, at startup or when the admin registers
+async function assignLegacyTopics(admin) {
+  const result = await db.collection('topics').updateMany(
+    { $or: [{ userId: 'default' }, { userId: { $exists: false } }, { userId: null }] },
+    { $set: { userId: admin.id } }
+  );
+  
+  if (result.modifiedCount > 0) {
+    console.log(`✓ Assigned ${result.modifiedCount} legacy topics to ${admin.email}`);
+  }
+}
+
+// A topic the user may read: their own, or any topic for admins
+async function findOwnTopic(user, topicId) {
+  const filter = user.role === 'admin' ? { id: topicId } : { id: topicId, userId: user.id };
+  return db.collection('topics').findOne(filter);
+}
+
+// Users can only change their own topics; admins can change any
+function topicOwnerFilter(req) {
+  return req.user.role === 'admin'
+    ? { id: req.params.id }
+    : { id: req.params.id, userId: req.user.id };
+}
+
+// ============================================
+// TOPIC MATCHING
+// ============================================
+
+// Weight of a keyword hit in each article field
+const TOPIC_FIELD_WEIGHTS = {
+  headline: 3,
+  summary: 2,
+  generatedContent: 1
+};
+
+// Accepts an array of strings; returns null when the input is not one.
+// Keywords starting with "-" are kept so they can be treated as exclusions.
+function parseKeywordList(value) {
+  if (!Array.isArray(value) || value.some(k => typeof k !== 'string')) {
+    return null;
+  }
+  
+  return value
+    .map(k => k.trim().replace(/^"(.*)"$/, '$1').trim())
+    .filter(k => k.length > 0 && k !== '-');
+}
+
+// A topic needs at least one of these to ever match; "-" keywords only exclude
+function isIncludedKeyword(keyword) {
+  return !keyword.startsWith('-');
+}
+
+// Build a case-insensitive, whole-word regex. Multi-word keywords match as a phrase.
+function keywordRegex(keyword) {
+  const pattern = keyword
+    .toLowerCase()
+    .split(/\s+/)
+    .map(escapeRegex)
+    .join('\\s+');
+  
+  return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Compile a topic's keywords once so it can be matched against many articles
+function compileTopic(topic) {
+  const include = [];
+  const exclude = (topic.excludeKeywords || []).map(keywordRegex);
+  
+  for (const keyword of topic.keywords || []) {
+    if (keyword.startsWith('-')) {
+      exclude.push(keywordRegex(keyword.slice(1)));
+    } else {
+      include.push({ keyword, regex: keywordRegex(keyword) });
+    }
+  }
+  
+  return { topic, include, exclude };
+}
+
+// Score an article against a compiled topic. Returns null if it doesn't match.
+function matchTopic(compiled, article) {
+  const fields = Object.keys(TOPIC_FIELD_WEIGHTS).map(field => [field, article[field] || '']);
+  
+  if (compiled.exclude.some(regex => fields.some(([, text]) => text.match(regex)))) {
+    return null;
+  }
+  
+  let score = 0;
+  const matchedKeywords = [];
+  
+  for (const { keyword, regex } of compiled.include) {
+    let keywordScore = 0;
+    
+    for (const [field, text] of fields) {
+      const hits = (text.match(regex) || []).length;
+      keywordScore += hits * TOPIC_FIELD_WEIGHTS[field];
+    }
+    
+    if (keywordScore > 0) {
+      matchedKeywords.push(keyword);
+      score += keywordScore;
+    }
+  }
+  
+  if (score === 0 || score < (compiled.topic.minScore || 1)) {
+    return null;
+  }
+  
+  return {
+    topicId: compiled.topic.id,
+    userId: compiled.topic.userId,
+    score,
+    matchedKeywords
+  };
+}
+
+// Match an article against every topic, best match first
+function matchArticleTopics(article, compiledTopics) {
+  const topicMatches = compiledTopics
+    .map(compiled => matchTopic(compiled, article))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+  
+  return {
+    topicIds: topicMatches.map(m => m.topicId),
+    topicMatches
+  };
+}
+
+async function loadCompiledTopics() {
+  const topics = await db.collection('topics').find().toArray();
+  return topics.map(compileTopic);
+}
+
+// Re-evaluate a single topic against all stored articles. Returns the match count.
+async function backfillTopicMatches(topic) {
+  const compiled = compileTopic(topic);
+  const cursor = db.collection('articles').find(
+    {},
+    { projection: { id: 1, headline: 1, summary: 1, generatedContent: 1, topicMatches: 1 } }
+  );
+  
+  let operations = [];
+  let matchedCount = 0;
+  
+  for await (const article of cursor) {
+    const match = matchTopic(compiled, article);
+    const topicMatches = (article.topicMatches || []).filter(m => m.topicId !== topic.id);
+    
+    if (match) {
+      topicMatches.push(match);
+      topicMatches.sort((a, b) => b.score - a.score);
+      matchedCount++;
+    } else if (topicMatches.length === (article.topicMatches || []).length) {
+      continue;
+    }
+    
+    operations.push({
+      updateOne: {
+        filter: { id: article.id },
+        update: { $set: { topicMatches, topicIds: topicMatches.map(m => m.topicId) } }
+      }
+    });
+    
+    if (operations.length >= 500) {
+      await db.collection('articles').bulkWrite(operations);
+      operations = [];
+    }
+  }
+  
+  if (operations.length > 0) {
+    await db.collection('articles').bulkWrite(operations);
+  }
+  
+  console.log(`🏷  Topic "${topic.name}" matched ${matchedCount} articles`);
+  return matchedCount;
+}
+
+// ============================================
+// STORY CLUSTERING
+// ============================================
+
+// Items whose TF-IDF cosine similarity to a story cluster reaches this join it
+const CLUSTER_SIMILARITY_THRESHOLD = parseFloat(process.env.CLUSTER_SIMILARITY_THRESHOLD) || 0.2;
+// Existing clusters updated within this window can receive new items
+const CLUSTER_LOOKBACK_DAYS = 7;
+const CLUSTER_MAX_TERMS = 150;
+// Title terms count this many times more than body terms
+const CLUSTER_TITLE_WEIGHT = 3;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'who', 'did', 'get', 'him',
+  'let', 'say', 'she', 'too', 'use', 'that', 'with', 'this', 'from', 'they', 'will', 'would', 'there',
+  'their', 'what', 'about', 'which', 'when', 'were', 'been', 'than', 'then', 'them', 'into', 'more',
+  'some', 'could', 'after', 'over', 'also', 'just', 'says', 'said', 'your', 'here', 'where', 'while',
+  'being', 'these', 'those', 'other', 'most', 'only', 'very', 'such', 'like', 'first', 'last', 'year',
+  'years', 'news', 'report', 'reports', 'today', 'week', 'amid', 'against', 'under', 'between', 'read'
+]);
+
+// Lowercase and strip accents, so "Zürich" and "zurich" compare equal
+function foldText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  return foldText(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token))
+    .map(stemToken);
+}
+
+// Very light stemming so "tariffs"/"tariff" and "cities"/"city" line up
+function stemToken(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+// Term counts for an item: weighted title words and title bigram shingles plus body words
+function itemTerms(item) {
+  const terms = {};
+  const add = (term, weight) => { terms[term] = (terms[term] || 0) + weight; };
+  const titleTokens = tokenize(item.title);
+  
+  titleTokens.forEach(token => add(token, CLUSTER_TITLE_WEIGHT));
+  for (let i = 0; i < titleTokens.length - 1; i++) {
+    add(`${titleTokens[i]}_${titleTokens[i + 1]}`, CLUSTER_TITLE_WEIGHT);
+  }
+  tokenize(item.content).forEach(token => add(token, 1));
+  
+  return terms;
+}
+
+function mergeTerms(target, terms) {
+  for (const [term, count] of Object.entries(terms)) {
+    target[term] = (target[term] || 0) + count;
+  }
+  return target;
+}
+
+// Keep the heaviest terms so stored clusters don't grow without bound
+function trimTerms(terms) {
+  return Object.fromEntries(
+    Object.entries(terms)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CLUSTER_MAX_TERMS)
+  );
+}
+
+function tfidfVector(terms, idf) {
+  const vector = {};
+  let norm = 0;
+  
+  for (const [term, count] of Object.entries(terms)) {
+    const weight = (1 + Math.log(count)) * (idf[term] || 0);
+    vector[term] = weight;
+    norm += weight * weight;
+  }
+  
+  return { vector, norm: Math.sqrt(norm) };
+}
+
+function cosineSimilarity(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  
+  const [small, large] = Object.keys(a.vector).length < Object.keys(b.vector).length ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of Object.entries(small.vector)) {
+    if (large.vector[term]) dot += weight * large.vector[term];
+  }
+  
+  return dot / (a.norm * b.norm);
+}
+
+// Group items into story clusters, seeding with clusters that already exist.
+// Returns only the clusters that received new items: [{ stored, terms, items }],
+// where `stored` is the existing cluster document or null for a brand new story.
+function clusterItems(items, existingClusters) {
+  const entries = items.map(item => ({ item, terms: itemTerms(item) }));
+  const documents = [...entries.map(e => e.terms), ...existingClusters.map(c => c.terms || {})];
+  
+  const docFreq = {};
+  for (const terms of documents) {
+    for (const term of Object.keys(terms)) {
+      docFreq[term] = (docFreq[term] || 0) + 1;
+    }
+  }
+  const idf = {};
+  for (const [term, df] of Object.entries(docFreq)) {
+    idf[term] = Math.log((documents.length + 1) / (df + 1)) + 1;
+  }
+  
+  const clusters = existingClusters.map(cluster => ({
+    stored: cluster,
+    terms: { ...(cluster.terms || {}) },
+    items: []
+  }));
+  
+  entries.sort((a, b) => new Date(a.item.publishedAt) - new Date(b.item.publishedAt));
+  
+  for (const entry of entries) {
+    const itemVector = tfidfVector(entry.terms, idf);
+    let best = null;
+    let bestScore = 0;
+    
+    for (const candidate of clusters) {
+      const score = cosineSimilarity(itemVector, tfidfVector(candidate.terms, idf));
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    
+    if (best && bestScore >= CLUSTER_SIMILARITY_THRESHOLD) {
+      best.items.push(entry.item);
+      mergeTerms(best.terms, entry.terms);
+    } else {
+      clusters.push({ stored: null, terms: { ...entry.terms }, items: [entry.item] });
+    }
+  }
+  
+  return clusters.filter(c => c.items.length > 0);
+}
+
+async function loadRecentClusters() {
+  const since = new Date(Date.now() - CLUSTER_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  
+  return db.collection('clusters')
+    .find({ updatedAt: { $gt: since } }, { projection: { id: 1, articleId: 1, terms: 1 } })
+    .toArray();
+}
+
+// Persist a cluster's members and merged terms, linking it to its article
+async function saveCluster(cluster, articleId) {
+  const now = new Date();
+  
+  await db.collection('clusters').updateOne(
+    { id: cluster.id },
+    {
+      $set: { articleId, terms: trimTerms(cluster.terms), updatedAt: now },
+      $setOnInsert: { title: cluster.items[0].title, createdAt: now },
+      $addToSet: {
+        rawItemIds: { $each: cluster.items.map(a => a.rawItemId) },
+        sourceNames: { $each: [...new Set(cluster.items.map(a => a.sourceName))] }
+      },
+      $inc: { itemCount: cluster.items.length }
+    },
+    { upsert: true }
+  );
+}
+
+// Get the story cluster behind an article with all of its member items
+app.get('/api/articles/:id/cluster', validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id });
+    
+    if (!canViewArticle(article, req.user)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const cluster = article.clusterId &&
+      await db.collection('clusters').findOne({ id: article.clusterId }, { projection: { _id: 0, terms: 0 } });
+    
+    if (!cluster) {
+      return sendError(res, 404, 'Article has no story cluster');
+    }
+    
+    const items = await db.collection('raw_items')
+      .find(
+        { id: { $in: cluster.rawItemIds } },
+        { projection: { _id: 0, id: 1, sourceId: 1, sourceName: 1, title: 1, link: 1, publishedAt: 1, outcome: 1 } }
+      )
+      .sort({ publishedAt: 1 })
+      .toArray();
+    
+    res.json({ ...cluster, items });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// NEWS FETCHING
+// ============================================
+
+// Manually trigger news fetch
+app.post('/api/fetch-news', requireAdmin, validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
+  try {
+    // Get enabled sources from database
+    const sources = await db.collection('sources').find({ enabled: true }).toArray();
+    
+    if (sources.length === 0) {
+      return sendError(res, 400, 'No enabled sources found');
+    }
+    
+    if (activeJob) {
+      return sendError(res, 409, 'A news fetch is already running', { code: 'JOB_RUNNING', details: { jobId: activeJob.id } });
+    }
+    
+    // Only requests that start a job count against the limit
+    if (!consumeRateLimit('fetchNews', req, res)) return;
+    
+    const { job } = await startNewsJob(sources, 'manual');
+    
+    res.status(202).json({ 
+      success: true, 
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+    
+  } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return sendError(res, 409, error.message, { code: 'JOB_RUNNING', details: { jobId: error.jobId } });
+    }
+    console.error('❌ Error fetching news:', error);
+    sendServerError(res, error);
+  }
+});
+
+// Fetch the given sources, group similar items and generate articles with the LLM provider.
+// Progress is reported on `job`, which is checked for cancellation between steps.
+async function fetchAndGenerateNews(sources, job) {
+  console.log('\n📰 Fetching news from sources...');
+  updateJob(job, { status: 'fetching', sourcesTotal: sources.length });
+  
+  const allArticles = [];
+  
+  // Fetch from each enabled RSS feed
+  for (const source of sources) {
+    throwIfCancelled(job);
+    
+    console.log(`  Fetching from ${source.name}...`);
+    const { feed, check } = await fetchSourceFeed(source);
+    
+    if (!check.ok) {
+      console.log(`  ✗ Error from ${source.name}: ${check.error}`);
+      job.errors.push({ stage: 'fetching', source: source.name, message: check.error });
+    } else {
+      const rawItems = check.notModified
+        ? await unprocessedRawItems(source)
+        : await storeRawItems(source, feed.items.slice(0, source.itemLimit || DEFAULT_ITEM_LIMIT));
+      
+      // Only items we haven't generated from yet go on to grouping
+      const articles = rawItems.map(raw => ({
+        rawItemId: raw.id,
+        sourceId: source.id,
+        sourceName: raw.sourceName,
+        category: source.category,
+        sourceUrl: raw.link,
+        title: raw.title,
+        content: raw.content,
+        publishedAt: raw.publishedAt,
+        imageUrl: raw.imageUrl,
+        extraction: raw.extraction || null,
+        extractFullText: source.extractFullText !== false
+      }));
+      
+      allArticles.push(...articles);
+      console.log(check.notModified
+        ? `  ⊘ Not modified since last fetch (${articles.length} unprocessed)`
+        : `  ✓ Got ${articles.length} unprocessed of ${feed.items.length} articles (${check.responseTimeMs}ms)`);
+    }
+    
+    updateJob(job, { sourcesFetched: job.sourcesFetched + 1, totalFetched: allArticles.length });
+  }
+  
+  console.log(`\n📊 Total articles fetched: ${allArticles.length}`);
+  console.log('🔄 Grouping similar articles...');
+  throwIfCancelled(job);
+  updateJob(job, { status: 'grouping' });
+  
+  // Cluster new items with each other and with recent stories already in the database
+  const existingClusters = await loadRecentClusters();
+  const clusters = clusterItems(allArticles, existingClusters);
+  clusters.forEach(cluster => {
+    cluster.id = cluster.stored ? cluster.stored.id : generateId();
+  });
+  
+  // Stories covered by the most sources go first
+  const groups = clusters.sort((a, b) => b.items.length - a.items.length);
+  const updateCount = groups.filter(c => c.stored && c.stored.articleId).length;
+  
+  console.log(`✓ Grouped into ${groups.length} unique stories (${updateCount} already published)`);
+  console.log(`\n🤖 Generating comprehensive articles with ${llm.name} (${llm.model})...`);
+  
+  let savedCount = 0;
+  let updatedCount = 0;
+  const groupsToProcess = groups.slice(0, 15);
+  const compiledTopics = await loadCompiledTopics();
+  
+  updateJob(job, { status: 'generating', totalGroups: groups.length, toGenerate: groupsToProcess.length });
+  
+  for (let i = 0; i < groupsToProcess.length; i++) {
+    throwIfCancelled(job);
+    const cluster = groupsToProcess[i];
+    const group = cluster.items;
+    const existingArticleId = cluster.stored && cluster.stored.articleId;
+    const category = primaryCategory(group);
+    
+    // Unprocessed items stay in raw_items and are picked up once there is budget again
+    const budgetStop = await checkSpendingCap();
+    if (budgetStop) {
+      console.log(`\n  💸 ${budgetStop}, stopping generation`);
+      updateJob(job, { budgetExceeded: budgetStop });
+      break;
+    }
+    
+    try {
+      await extractGroupText(group);
+      let result;
+      
+      if (existingArticleId) {
+        // New coverage of a story we already published updates that article
+        console.log(`\n  [${i + 1}/${groupsToProcess.length}] Updating: ${group[0].title.substring(0, 60)}...`);
+        result = await updateArticleFromCluster(existingArticleId, cluster, compiledTopics);
+      } else {
+        console.log(`\n  [${i + 1}/${groupsToProcess.length}] Processing: ${group[0].title.substring(0, 60)}...`);
+        result = await createArticleFromCluster(cluster, compiledTopics);
+      }
+      
+      await recordLlmUsage(result.llmCalls, { job, articleId: result.articleId, outcome: result.outcome, category });
+      
+      if (result.outcome === 'saved') {
+        savedCount++;
+        updateJob(job, { saved: job.saved + 1 });
+        dispatchArticleEvent('article.created', result.articleId);
+      } else if (result.outcome === 'updated') {
+        updatedCount++;
+        updateJob(job, { updated: job.updated + 1 });
+        dispatchArticleEvent('article.updated', result.articleId);
+      } else if (result.outcome === 'held') {
+        updateJob(job, { held: job.held + 1 });
+      } else {
+        updateJob(job, { skipped: job.skipped + 1 });
+      }
+      
+    } catch (error) {
+      console.log(`  ✗ Error: ${error.message}`);
+      job.errors.push({ stage: 'generating', story: group[0].title, message: error.message });
+      await recordLlmUsage(error.llmCalls || [], { job, articleId: existingArticleId || null, outcome: 'failed', category })
+        .catch(err => console.log(`  ✗ Error recording usage: ${err.message}`));
+      await markRawItemsFailed(group.map(a => a.rawItemId), error.message)
+        .catch(err => console.log(`  ✗ Error updating raw items: ${err.message}`));
+    }
+    
+    updateJob(job, { generated: i + 1 });
+  }
+  
+  console.log(`\n✅ Complete! Saved ${savedCount} new articles, updated ${updatedCount}`);
+  console.log(`💰 Cost: $${job.usage.cost.toFixed(4)} (${job.usage.inputTokens} input / ${job.usage.outputTokens} output tokens in ${job.usage.calls} calls)\n`);
+  
+  return {
+    articlesProcessed: savedCount,
+    articlesUpdated: updatedCount,
+    totalFetched: allArticles.length,
+    totalGroups: groups.length,
+    cost: roundCost(job.usage.cost),
+    usage: job.usage
+  };
+}
+
+// ============================================
+// LLM PROVIDERS
+// ============================================
+
+// A provider exposes `generateStructured({ task, prompt, schema, context, maxTokens })`,
+// which resolves to { data, usage, model }. `data` always matches `schema`.
+const LLM_MODEL = process.env.LLM_MODEL || 'claude-sonnet-4-20250514';
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || 2000;
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 4;
+const LLM_RETRY_BASE_MS = 1000;
+const LLM_RETRY_MAX_MS = 30000;
+
+const LLM_PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+// The offline mock must be asked for with LLM_PROVIDER=mock, so a deploy without
+// an API key fails at startup instead of publishing mock articles
+const llm = createLlmProvider(process.env.LLM_PROVIDER || 'anthropic');
+
+function createLlmProvider(name) {
+  const factory = LLM_PROVIDERS[name];
+  
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+  
+  const provider = factory();
+  console.log(`✓ LLM provider: ${provider.name} (${provider.model})`);
+  
+  return {
+    name: provider.name,
+    model: provider.model,
+    // Validate the output and ask again once if it doesn't match the schema.
+    // Every billed call is returned in `calls` (or attached to the error as `llmCalls`).
+    async generateStructured(request) {
+      const calls = [];
+      let lastErrors = [];
+      
+      try {
+        for (let attempt = 1; attempt <= 2; attempt++) {
+          const result = await provider.generateStructured({ maxTokens: LLM_MAX_TOKENS, ...request });
+          lastErrors = validateSchema(result.data, request.schema);
+          calls.push(llmCallRecord(provider, request.task, result, lastErrors.length === 0));
+          
+          if (lastErrors.length === 0) {
+            return { ...result, calls };
+          }
+          
+          console.log(`  ⚠️  Invalid ${request.task} output (attempt ${attempt}): ${lastErrors.join('; ')}`);
+        }
+        
+        throw new Error(`LLM returned invalid ${request.task} output: ${lastErrors.join('; ')}`);
+      } catch (error) {
+        error.llmCalls = calls;
+        throw error;
+      }
+    }
+  };
+}
+
+function llmCallRecord(provider, task, result, valid) {
+  const usage = result.usage || {};
+  
+  return {
+    provider: provider.name,
+    model: result.model || provider.model,
+    task,
+    inputTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+    outputTokens: usage.output_tokens || 0,
+    cost: roundCost(llmCallCost(result.model || provider.model, usage)),
+    valid,
+    createdAt: new Date()
+  };
+}
+
+// Claude with a forced tool call so the response is JSON matching the schema
+function createAnthropicProvider() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY is not set (use LLM_PROVIDER=mock to run without an API key)');
+  }
+  
+  // Retries are handled here so rate limits back off instead of failing the call
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    maxRetries: 0
+  });
+  
+  return {
+    name: 'anthropic',
+    model: LLM_MODEL,
+    async generateStructured({ task, prompt, schema, maxTokens }) {
+      const message = await withRetries(() => anthropic.messages.create({
+        model: LLM_MODEL,
+        max_tokens: maxTokens,
+        tools: [{
+          name: task,
+          description: `Return the ${task.replace(/_/g, ' ')} result`,
+          input_schema: schema
+        }],
+        tool_choice: { type: 'tool', name: task },
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }));
+      
+      const toolUse = message.content.find(block => block.type === 'tool_use');
+      
+      return {
+        data: toolUse ? toolUse.input : null,
+        usage: message.usage,
+        model: message.model
+      };
+    }
+  };
+}
+
+// Deterministic offline provider for tests and development: builds output
+// from the structured `context` of each task, with no network or API key
+function createMockProvider() {
+  const tasks = {
+    write_article: ({ sources, previous }) => {
+      const first = sources[0];
+      const sourceNames = [...new Set(sources.map(s => s.sourceName))].join(', ');
+      const paragraphs = sources.map((source, index) =>
+        `${source.title}. ${source.content} [${index + 1}]`
+      );
+      
+      // Capitalized phrases of two or more words stand in for named entities
+      const names = sources.flatMap(s => s.title.match(/\b\p{Lu}[\p{L}.'-]+(?:\s+\p{Lu}[\p{L}.'-]+)+/gu) || []);
+      
+      return {
+        headline: previous ? previous.headline : `${first.title} (${first.sourceName})`,
+        summary: `${first.title}. Reported by ${sourceNames}.`,
+        article: [
+          ...paragraphs,
+          `This article was written by the offline mock provider from ${sources.length} source(s).`
+        ].join('\n\n'),
+        entities: [...new Set(names)].slice(0, MAX_ENTITIES).map(name => ({ name, type: 'organization' })),
+        keywords: [...new Set((first.title.toLowerCase().match(/\p{L}{4,}/gu) || []).filter(w => !STOPWORDS.has(w)))]
+          .slice(0, MAX_KEYWORDS)
+      };
+    },
+    
+    write_digest_overview: ({ digest }) => {
+      const headlines = digest.sections.flatMap(section => section.stories.map(s => s.headline));
+      return {
+        overview: `This ${digest.period} digest covers ${headlines.length} stories across ${digest.sections.length} topic(s), led by: ${headlines.slice(0, 3).join('; ')}.`
+      };
+    }
+  };
+  
+  return {
+    name: 'mock',
+    model: 'mock',
+    async generateStructured({ task, prompt, context }) {
+      if (!tasks[task]) {
+        throw new Error(`Mock LLM provider has no handler for "${task}"`);
+      }
+      
+      const data = tasks[task](context);
+      
+      return {
+        data,
+        usage: {
+          input_tokens: Math.ceil(prompt.length / 4),
+          output_tokens: Math.ceil(JSON.stringify(data).length / 4)
+        },
+        model: 'mock'
+      };
+    }
+  };
+}
+
+// Retry rate limits, overloads, server and connection errors (including timeouts)
+// with exponential backoff. Anything else, e.g. a bug in our code, fails right away.
+function isRetryableLlmError(error) {
+  if (error instanceof Anthropic.APIConnectionError) {
+    return true;
+  }
+  return error instanceof Anthropic.APIError && (error.status === 429 || error.status >= 500);
+}
+
+async function withRetries(call) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      const retryable = isRetryableLlmError(error);
+      
+      if (!retryable || attempt >= LLM_MAX_RETRIES) {
+        throw error;
+      }
+      
+      const retryAfter = parseFloat(headerValue(error.headers, 'retry-after'));
+      // The server's Retry-After is honored up to the same cap as our own backoff
+      const delay = retryAfter > 0
+        ? Math.min(retryAfter * 1000, LLM_RETRY_MAX_MS)
+        : Math.min(LLM_RETRY_BASE_MS * 2 ** attempt, LLM_RETRY_MAX_MS) + Math.random() * 250;
+      
+      console.log(`  ⏳ LLM error (${error.status || error.message}), retrying in ${Math.round(delay)}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Checks the subset of JSON Schema used by our tool definitions.
+// Returns a list of problems; empty when the value is valid.
+function validateSchema(value, schema, path = 'output') {
+  const errors = [];
+  
+  // `type: ['integer', 'null']` allows null alongside the first type
+  if (Array.isArray(schema.type)) {
+    if (value === null && schema.type.includes('null')) {
+      return errors;
+    }
+    schema = { ...schema, type: schema.type.find(t => t !== 'null') };
+  }
+  
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${path} must be an object`];
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], childSchema, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !(key in schema.properties)) errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  } else if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [`${path} must be an array`];
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (schema.type === 'string') {
+    if (typeof value !== 'string') {
+      return [`${path} must be a string`];
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+    if (schema.format === 'date-time' && isNaN(new Date(value))) {
+      errors.push(`${path} must be a valid date`);
+    }
+    if (schema.format === 'uri' && !/^https?:\/\/[^\s]+$/i.test(value)) {
+      errors.push(`${path} must be an http or https URL`);
+    }
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+      return [`${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  } else if (schema.type === 'boolean' && typeof value !== 'boolean') {
+    errors.push(`${path} must be a boolean`);
+  }
+  
+  return errors;
+}
+
+// ============================================
+// USAGE & BUDGETS
+// ============================================
+
+// USD per million tokens. Override or extend with LLM_PRICES, e.g.
+// {"claude-sonnet-4": {"input": 3, "output": 15}}. Models match by prefix.
+const LLM_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  mock: { input: 0, output: 0 },
+  ...JSON.parse(process.env.LLM_PRICES || '{}')
+};
+// Unknown models are priced like Sonnet so budgets err on the safe side
+const DEFAULT_LLM_PRICE = { input: 3, output: 15 };
+const LLM_DAILY_BUDGET_USD = parseFloat(process.env.LLM_DAILY_BUDGET_USD) || null;
+const LLM_MONTHLY_BUDGET_USD = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || null;
+
+function priceForModel(model) {
+  const match = Object.keys(LLM_PRICES)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return match ? LLM_PRICES[match] : DEFAULT_LLM_PRICE;
+}
+
+// Cost of one call; cache writes are billed at 1.25x and cache reads at 0.1x input
+function llmCallCost(model, usage) {
+  const price = priceForModel(model);
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
+  
+  return (
+    inputTokens * price.input +
+    cacheWriteTokens * price.input * 1.25 +
+    cacheReadTokens * price.input * 0.1 +
+    outputTokens * price.output
+  ) / 1000000;
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+// Totals for a list of call records (or to add to existing totals)
+function summarizeLlmCalls(calls, totals = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 }) {
+  return calls.reduce((sum, call) => ({
+    calls: sum.calls + 1,
+    inputTokens: sum.inputTokens + call.inputTokens,
+    outputTokens: sum.outputTokens + call.outputTokens,
+    cost: roundCost(sum.cost + call.cost)
+  }), { ...totals });
+}
+
+// Store each call in `llm_usage` and add it to the job's running totals.
+// Calls made outside an ingestion job (e.g. digests) pass `job: null`.
+async function recordLlmUsage(calls, { job, articleId, outcome, category }) {
+  if (calls.length === 0) {
+    return;
+  }
+  
+  await db.collection('llm_usage').insertMany(calls.map(call => ({
+    id: generateId(),
+    ...call,
+    runId: job ? job.id : null,
+    articleId,
+    outcome,
+    category
+  })));
+  
+  if (job) {
+    updateJob(job, { usage: summarizeLlmCalls(calls, job.usage) });
+  }
+}
+
+// The category most of a story's items come from
+function primaryCategory(group) {
+  const counts = {};
+  group.forEach(a => { counts[a.category || 'general'] = (counts[a.category || 'general'] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+async function spendSince(since) {
+  const [result] = await db.collection('llm_usage').aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]).toArray();
+  
+  return result ? roundCost(result.cost) : 0;
+}
+
+// Budget periods are calendar days and months in UTC
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfUtcMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+// Returns a reason when a spending cap has been reached, otherwise null
+async function checkSpendingCap() {
+  if (LLM_DAILY_BUDGET_USD) {
+    const spent = await spendSince(startOfUtcDay());
+    if (spent >= LLM_DAILY_BUDGET_USD) {
+      return `Daily budget of $${LLM_DAILY_BUDGET_USD} reached ($${spent.toFixed(4)} spent)`;
+    }
+  }
+  
+  if (LLM_MONTHLY_BUDGET_USD) {
+    const spent = await spendSince(startOfUtcMonth());
+    if (spent >= LLM_MONTHLY_BUDGET_USD) {
+      return `Monthly budget of $${LLM_MONTHLY_BUDGET_USD} reached ($${spent.toFixed(4)} spent)`;
+    }
+  }
+  
+  return null;
+}
+
+// Spend over time, broken down by source category
+app.get('/api/usage', requireAdmin, validate({
+  query: {
+    type: 'object',
+    properties: { period: { type: 'string', enum: ['day', 'month'] }, from: DATE_STRING, to: DATE_STRING }
+  }
+}), async (req, res) => {
+  try {
+    const { period = 'day' } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    
+    const rows = await db.collection('llm_usage').aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: period === 'day' ? '%Y-%m-%d' : '%Y-%m', date: '$createdAt' } },
+            category: { $ifNull: ['$category', 'general'] }
+          },
+          cost: { $sum: '$cost' },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+          calls: { $sum: 1 },
+          failedCalls: { $sum: { $cond: [{ $eq: ['$outcome', 'failed'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ]).toArray();
+    
+    const empty = () => ({ cost: 0, inputTokens: 0, outputTokens: 0, calls: 0, failedCalls: 0 });
+    const add = (target, row) => {
+      target.cost = roundCost(target.cost + row.cost);
+      target.inputTokens += row.inputTokens;
+      target.outputTokens += row.outputTokens;
+      target.calls += row.calls;
+      target.failedCalls += row.failedCalls;
+    };
+    
+    const totals = empty();
+    const byCategory = {};
+    const periods = new Map();
+    
+    for (const row of rows) {
+      const { period: key, category } = row._id;
+      if (!periods.has(key)) periods.set(key, { period: key, ...empty(), categories: {} });
+      
+      const bucket = periods.get(key);
+      bucket.categories[category] = bucket.categories[category] || empty();
+      byCategory[category] = byCategory[category] || empty();
+      
+      add(bucket, row);
+      add(bucket.categories[category], row);
+      add(byCategory[category], row);
+      add(totals, row);
+    }
+    
+    const [spentToday, spentThisMonth] = await Promise.all([
+      spendSince(startOfUtcDay()),
+      spendSince(startOfUtcMonth())
+    ]);
+    
+    res.json({
+      from,
+      to,
+      period,
+      totals,
+      byCategory,
+      series: [...periods.values()],
+      budget: {
+        daily: { limit: LLM_DAILY_BUDGET_USD, spent: spentToday },
+        monthly: { limit: LLM_MONTHLY_BUDGET_USD, spent: spentThisMonth }
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// FULL-TEXT EXTRACTION
+// ============================================
+
+// Feed items only carry teasers, so before generation each item's link is
+// downloaded and its main text extracted. Results are cached on the raw item.
+const EXTRACTION_ENABLED = process.env.EXTRACTION_ENABLED !== 'false';
+const EXTRACTION_TIMEOUT_MS = parseInt(process.env.EXTRACTION_TIMEOUT_MS) || 10000;
+const EXTRACTION_MAX_BYTES = 2 * 1024 * 1024;
+const EXTRACTION_MAX_CHARS = 20000;
+const EXTRACTION_MIN_CHARS = 200;
+// Characters of source text given to the LLM per source, and in total per prompt
+const SOURCE_TEXT_BUDGET = parseInt(process.env.SOURCE_TEXT_BUDGET) || 4000;
+const PROMPT_TEXT_BUDGET = parseInt(process.env.PROMPT_TEXT_BUDGET) || 20000;
+
+const HTML_ENTITIES = {
+  nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…', copy: '©', eacute: 'é'
+};
+const BOILERPLATE_PATTERN = /^(advertisement|share this|sign up|subscribe|follow us|related:|read more|all rights reserved|©)|cookies?\b.*\b(accept|consent|policy)/i;
+
+function decodeHtmlEntities(text) {
+  return decodeXmlEntities(text.replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match));
+}
+
+function parseTagAttributes(tag) {
+  const attributes = {};
+  for (const [, name, double, single, bare] of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[name.toLowerCase()] = decodeHtmlEntities(double ?? single ?? bare).trim();
+  }
+  return attributes;
+}
+
+function htmlToText(fragment) {
+  return decodeHtmlEntities(fragment.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Byline, canonical URL and lead image from <meta>, <link> and JSON-LD
+function extractPageMetadata(page, pageUrl) {
+  const meta = {};
+  for (const [tag] of page.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) meta[key] = attributes.content;
+  }
+  
+  let canonicalUrl = null;
+  for (const [tag] of page.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    if ((attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attributes.href) {
+      canonicalUrl = attributes.href;
+      break;
+    }
+  }
+  
+  let byline = meta.author || meta['article:author'] || meta['twitter:creator'] || null;
+  if (!byline) {
+    for (const [, json] of page.matchAll(/<script[^>]+application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)) {
+      try {
+        const data = [].concat(JSON.parse(json));
+        const author = data.map(d => d && d.author).find(Boolean);
+        const name = [].concat(author).map(a => (typeof a === 'string' ? a : a && a.name)).filter(Boolean).join(', ');
+        if (name) {
+          byline = name;
+          break;
+        }
+      } catch (error) {
+        // Ignore malformed JSON-LD
+      }
+    }
+  }
+  
+  const resolve = url => {
+    try {
+      return url ? new URL(url, pageUrl).href : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  return {
+    byline: byline && !/^https?:/.test(byline) ? byline.substring(0, 200) : null,
+    canonicalUrl: resolve(canonicalUrl || meta['og:url']),
+    imageUrl: resolve(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'])
+  };
+}
+
+// Readability-style main text: drop non-content elements, prefer the largest
+// <article> (or <main>), then keep paragraphs that are long enough and mostly
+// not links
+function extractMainText(page) {
+  let body = page
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|figure|button|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+  
+  const containers = [...body.matchAll(/<(article|main)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi)].map(m => m[2]);
+  if (containers.length > 0) {
+    const largest = containers.sort((a, b) => htmlToText(b).length - htmlToText(a).length)[0];
+    // Some sites wrap only the headline in <article>; fall back to the whole page then
+    if (htmlToText(largest).length >= EXTRACTION_MIN_CHARS) body = largest;
+  }
+  
+  const paragraphs = [];
+  for (const [, inner] of body.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p\s*>/gi)) {
+    const text = htmlToText(inner);
+    const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a\s*>/gi)].map(m => htmlToText(m[1])).join('');
+    
+    if (text.length < 40 || linkText.length / text.length > 0.5 || BOILERPLATE_PATTERN.test(text)) continue;
+    if (!paragraphs.includes(text)) paragraphs.push(text);
+  }
+  
+  return paragraphs.join('\n\n').substring(0, EXTRACTION_MAX_CHARS);
+}
+
+// Download a link and extract { text, byline, canonicalUrl, imageUrl }
+async function extractArticle(url) {
+  // Item links come from third-party feeds, so every redirect hop is checked too
+  const response = await guardedFetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; NewsAggregator/1.0)',
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+    },
+    signal: AbortSignal.timeout(EXTRACTION_TIMEOUT_MS)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  const contentType = response.headers.get('content-type') || '';
+  if (!/html/i.test(contentType)) {
+    throw new Error(`Unsupported content type ${contentType || 'unknown'}`);
+  }
+  
+  const length = parseInt(response.headers.get('content-length'));
+  if (length > EXTRACTION_MAX_BYTES) {
+    throw new Error('Page is too large');
+  }
+  
+  // Chunked responses have no Content-Length, so the cap is enforced while reading
+  const page = (await readLimitedBody(response, EXTRACTION_MAX_BYTES, { truncate: true })).toString('utf8');
+  const text = extractMainText(page);
+  
+  if (text.length < EXTRACTION_MIN_CHARS) {
+    throw new Error('No article text found');
+  }
+  
+  return { text, ...extractPageMetadata(page, response.url || url) };
+}
+
+// Add extracted text to the items of a group in place: `fullText`, `byline`, and the
+// page's lead image when the feed had none. Never throws; failures are cached too
+// so a broken page isn't downloaded again.
+async function extractGroupText(group) {
+  for (const item of group) {
+    let extraction = item.extraction;
+    
+    if (!extraction) {
+      if (!EXTRACTION_ENABLED || item.extractFullText === false || !item.sourceUrl) {
+        continue;
+      }
+      
+      const startedAt = Date.now();
+      try {
+        const result = await extractArticle(item.sourceUrl);
+        extraction = { status: 'ok', ...result, length: result.text.length, error: null };
+        console.log(`  📄 Extracted ${result.text.length} chars from ${item.sourceName}`);
+      } catch (error) {
+        const message = error.name === 'TimeoutError' ? `Timed out after ${EXTRACTION_TIMEOUT_MS}ms` : error.message;
+        extraction = { status: 'failed', text: null, byline: null, canonicalUrl: null, imageUrl: null, length: 0, error: message };
+        console.log(`  ✗ Extraction failed for ${item.sourceName}: ${message}`);
+      }
+      
+      extraction.durationMs = Date.now() - startedAt;
+      extraction.extractedAt = new Date();
+      item.extraction = extraction;
+      
+      await db.collection('raw_items').updateOne({ id: item.rawItemId }, { $set: { extraction } })
+        .catch(error => console.log(`  ✗ Error caching extraction: ${error.message}`));
+    }
+    
+    if (extraction.status === 'ok') {
+      item.fullText = extraction.text;
+      item.byline = extraction.byline;
+      item.imageUrl = item.imageUrl || extraction.imageUrl;
+    }
+  }
+}
+
+// Source text for the prompt: extracted text when there is some, else the feed
+// teaser, cut at a word boundary to the per-source share of the budget
+function sourcePromptText(item, groupSize) {
+  const budget = Math.min(SOURCE_TEXT_BUDGET, Math.floor(PROMPT_TEXT_BUDGET / Math.max(groupSize, 1)));
+  const text = item.fullText || item.content || '';
+  
+  if (text.length <= budget) {
+    return text;
+  }
+  
+  const cut = text.substring(0, budget);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${cut.substring(0, lastSpace > budget * 0.8 ? lastSpace : budget)}…`;
+}
+
+// ============================================
+// IMAGES
+// ============================================
+
+// Article images are downloaded once, checked, resized and served from a local
+// cache at /api/images/:hash. Stories without a usable image get a generated card.
+const IMAGE_CACHE_DIR = path.resolve(process.env.IMAGE_CACHE_DIR || 'image-cache');
+const IMAGE_FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGE_MAX_CANDIDATES = 6;
+const IMAGE_MIN_WIDTH = 300;
+const IMAGE_MIN_ASPECT = 0.5;
+const IMAGE_MAX_ASPECT = 3;
+// Landscape images close to the 1.91:1 link-preview ratio suit cards best
+const IMAGE_IDEAL_ASPECT = 1.91;
+const IMAGE_SIZES = { large: 1200, thumb: 400 };
+const PLACEHOLDER_WIDTH = 1200;
+const PLACEHOLDER_HEIGHT = 630;
+// An image is cached before its article is saved, so only older unused images are pruned
+const IMAGE_PRUNE_GRACE_MS = 24 * 60 * 60 * 1000;
+const CATEGORY_COLORS = ['#1e88e5', '#43a047', '#e53935', '#8e24aa', '#fb8c00', '#00897b', '#3949ab', '#6d4c41'];
+
+// Images are stored under a path so they can be resolved against any base URL
+function imagePath(hash) {
+  return `/api/images/${hash}`;
+}
+
+// Absolute image URL for feeds and previews; cached images are stored as paths
+function absoluteImageUrl(url, baseUrl) {
+  if (!url) return null;
+  
+  try {
+    return new URL(url, `${baseUrl}/`).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function imageFile(hash, size) {
+  return path.join(IMAGE_CACHE_DIR, `${hash}-${size}.jpg`);
+}
+
+// Score a candidate by its (capped) area, scaled down the further its aspect
+// ratio is from the ideal. Returns 0 for images too small or too narrow to use.
+function scoreImage({ width, height }) {
+  const aspect = width / height;
+  
+  if (width < IMAGE_MIN_WIDTH || aspect < IMAGE_MIN_ASPECT || aspect > IMAGE_MAX_ASPECT) {
+    return 0;
+  }
+  
+  const area = Math.min(width, 1600) * Math.min(height, 1000);
+  return area * Math.exp(-Math.abs(Math.log(aspect / IMAGE_IDEAL_ASPECT)));
+}
+
+// Download a candidate and make sure it really is an image
+async function fetchImage(url) {
+  const response = await guardedFetch(url, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NewsAggregator/1.0)', 'Accept': 'image/*' },
+    signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  const contentType = response.headers.get('content-type') || '';
+  if (!/^image\//i.test(contentType)) {
+    throw new Error(`Not an image (${contentType || 'unknown type'})`);
+  }
+  
+  if (parseInt(response.headers.get('content-length')) > IMAGE_MAX_BYTES) {
+    throw new Error('Image is too large');
+  }
+  
+  // Chunked responses have no Content-Length, so the cap is enforced while reading
+  const buffer = await readLimitedBody(response, IMAGE_MAX_BYTES);
+  
+  // sharp rejects anything it cannot decode, which catches HTML error pages served as images
+  const metadata = await sharp(buffer).metadata();
+  if (!metadata.width || !metadata.height) {
+    throw new Error('Unreadable image');
+  }
+  
+  return { buffer, width: metadata.width, height: metadata.height, format: metadata.format };
+}
+
+// Write the resized JPEG versions of an image to the cache. Each file is written
+// under a temporary name and renamed, so readers never see a partial JPEG.
+async function writeImageFiles(hash, input) {
+  await fs.promises.mkdir(IMAGE_CACHE_DIR, { recursive: true });
+  
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    const file = imageFile(hash, size);
+    const temporaryFile = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    
+    try {
+      await sharp(input)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toFile(temporaryFile);
+      await fs.promises.rename(temporaryFile, file);
+    } catch (error) {
+      await fs.promises.rm(temporaryFile, { force: true });
+      throw error;
+    }
+  }
+}
+
+// Remove images that no article or archived article uses, then any cached file
+// without an `images` document (e.g. temporary files left by a crash). Archived
+// articles keep their image so a restore shows it; the archive TTL frees it later.
+async function pruneImageCache() {
+  const cutoff = new Date(Date.now() - IMAGE_PRUNE_GRACE_MS);
+  const usedBy = from => ({
+    $lookup: {
+      from,
+      let: { hash: '$hash' },
+      pipeline: [{ $match: { $expr: { $eq: ['$image.hash', '$$hash'] } } }, { $limit: 1 }, { $project: { _id: 1 } }],
+      as: from
+    }
+  });
+  
+  const unused = await db.collection('images').aggregate([
+    { $match: { createdAt: { $lt: cutoff } } },
+    usedBy('articles'),
+    usedBy('articles_archive'),
+    { $match: { articles: { $size: 0 }, articles_archive: { $size: 0 } } },
+    { $project: { _id: 0, hash: 1 } }
+  ]).toArray();
+  
+  for (const { hash } of unused) {
+    await db.collection('images').deleteOne({ hash });
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      await fs.promises.rm(imageFile(hash, size), { force: true });
+    }
+  }
+  
+  let strayFiles = 0;
+  const files = await fs.promises.readdir(IMAGE_CACHE_DIR).catch(() => []);
+  
+  for (const name of files) {
+    const file = path.join(IMAGE_CACHE_DIR, name);
+    const hash = name.split('-')[0];
+    const stat = await fs.promises.stat(file).catch(() => null);
+    
+    if (!stat || stat.mtime >= cutoff || await db.collection('images').findOne({ hash }, { projection: { _id: 1 } })) {
+      continue;
+    }
+    
+    await fs.promises.rm(file, { force: true });
+    strayFiles++;
+  }
+  
+  if (unused.length > 0 || strayFiles > 0) {
+    console.log(`🗑️  Pruned ${unused.length} unused image(s) and ${strayFiles} stray cache file(s)`);
+  }
+  
+  return { prunedImages: unused.length, strayFiles };
+}
+
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s+\S*$/, '')}…`;
+  }
+  return lines;
+}
+
+// A card in the category's colour with the headline on it. The same headline
+// and category always produce the same image.
+function placeholderSvg(headline, category) {
+  const color = CATEGORY_COLORS[parseInt(hashString(category || 'general').slice(0, 8), 16) % CATEGORY_COLORS.length];
+  const lines = wrapText(headline, 30, 4);
+  const lineHeight = 72;
+  const top = (PLACEHOLDER_HEIGHT - lines.length * lineHeight) / 2 + 48;
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${PLACEHOLDER_WIDTH}" height="${PLACEHOLDER_HEIGHT}">
+  <rect width="100%" height="100%" fill="${color}"/>
+  <rect y="${PLACEHOLDER_HEIGHT - 12}" width="100%" height="12" fill="#000" fill-opacity="0.2"/>
+  <text x="80" y="90" font-family="Helvetica, Arial, sans-serif" font-size="30" font-weight="bold" fill="#fff" fill-opacity="0.8" letter-spacing="4">${escapeHtml((category || 'news').toUpperCase())}</text>
+${lines.map((line, i) => `  <text x="80" y="${top + i * lineHeight}" font-family="Helvetica, Arial, sans-serif" font-size="54" font-weight="bold" fill="#fff">${escapeHtml(line)}</text>`).join('\n')}
+  <text x="80" y="${PLACEHOLDER_HEIGHT - 50}" font-family="Helvetica, Arial, sans-serif" font-size="26" fill="#fff" fill-opacity="0.8">${SITE_NAME}</text>
+</svg>`;
+}
+
+// (Re)create the cached files for an `images` document. Downloaded images are
+// fetched again from their source if the cache was cleared; when that fails
+// this rejects with code 'IMAGE_UNAVAILABLE'.
+async function ensureImageFiles(image) {
+  try {
+    await fs.promises.access(imageFile(image.hash, 'large'));
+    await fs.promises.access(imageFile(image.hash, 'thumb'));
+    return;
+  } catch (error) {
+    // Missing from the cache
+  }
+  
+  let input;
+  if (image.placeholder) {
+    input = Buffer.from(placeholderSvg(image.headline, image.category));
+  } else {
+    try {
+      input = (await fetchImage(image.sourceUrl)).buffer;
+    } catch (error) {
+      const unavailable = new Error(`Image is no longer available: ${error.message}`);
+      unavailable.code = 'IMAGE_UNAVAILABLE';
+      throw unavailable;
+    }
+  }
+  
+  await writeImageFiles(image.hash, input);
+}
+
+async function createPlaceholderImage(headline, category) {
+  const hash = hashString(`placeholder:${category}:${headline}`);
+  const image = {
+    hash,
+    placeholder: true,
+    headline,
+    category: category || null,
+    sourceUrl: null,
+    width: PLACEHOLDER_WIDTH,
+    height: PLACEHOLDER_HEIGHT,
+    createdAt: new Date()
+  };
+  
+  await writeImageFiles(hash, Buffer.from(placeholderSvg(headline, category)));
+  await db.collection('images').updateOne({ hash }, { $setOnInsert: image }, { upsert: true });
+  return image;
+}
+
+// Pick the best image among every source in a group (feed images and the pages'
+// lead images), cache it and resolve to { imageUrl, image }. Falls back to a
+// placeholder card; never throws.
+async function selectArticleImage(group, { headline, category }) {
+  const candidates = [...new Set(group.flatMap(item => [
+    item.imageUrl,
+    item.extraction && item.extraction.imageUrl
+  ]).filter(url => url && /^https?:\/\//i.test(url)))].slice(0, IMAGE_MAX_CANDIDATES);
+  
+  let best = null;
+  
+  for (const url of candidates) {
+    const hash = hashString(url);
+    const known = await db.collection('images').findOne({ hash });
+    
+    try {
+      const fetched = known ? null : await fetchImage(url);
+      const candidate = known || { hash, sourceUrl: url, width: fetched.width, height: fetched.height, format: fetched.format };
+      const score = scoreImage(candidate);
+      
+      if (score > 0 && (!best || score > best.score)) {
+        best = { candidate, fetched, score };
+      }
+    } catch (error) {
+      console.log(`  ✗ Image rejected (${url.substring(0, 80)}): ${error.message}`);
+    }
+  }
+  
+  try {
+    if (best) {
+      const { candidate, fetched } = best;
+      const image = { placeholder: false, ...candidate, createdAt: candidate.createdAt || new Date() };
+      
+      if (fetched) {
+        await writeImageFiles(image.hash, fetched.buffer);
+      } else {
+        await ensureImageFiles(image);
+      }
+      await db.collection('images').updateOne({ hash: image.hash }, { $setOnInsert: image }, { upsert: true });
+      
+      return { imageUrl: imagePath(image.hash), image: articleImageInfo(image) };
+    }
+    
+    const placeholder = await createPlaceholderImage(headline, category);
+    return { imageUrl: imagePath(placeholder.hash), image: articleImageInfo(placeholder) };
+  } catch (error) {
+    console.log(`  ✗ Image processing failed: ${error.message}`);
+    return { imageUrl: null, image: null };
+  }
+}
+
+function articleImageInfo(image) {
+  return {
+    hash: image.hash,
+    sourceUrl: image.sourceUrl,
+    width: image.width,
+    height: image.height,
+    placeholder: image.placeholder
+  };
+}
+
+// Serve a cached image; ?size=thumb for the small version
+app.get('/api/images/:hash', validate({
+  query: { type: 'object', properties: { size: { type: 'string', enum: Object.keys(IMAGE_SIZES) } } }
+}), async (req, res) => {
+  try {
+    const size = req.query.size || 'large';
+    
+    if (!/^[0-9a-f]{24}$/.test(req.params.hash)) {
+      return sendError(res, 404, 'Image not found');
+    }
+    
+    const image = await db.collection('images').findOne({ hash: req.params.hash });
+    
+    if (!image) {
+      return sendError(res, 404, 'Image not found');
+    }
+    
+    try {
+      await ensureImageFiles(image);
+    } catch (error) {
+      // Gone from the cache and from its source, e.g. removed upstream
+      if (error.code === 'IMAGE_UNAVAILABLE') {
+        return sendError(res, 404, 'Image not found');
+      }
+      throw error;
+    }
+    
+    // The same hash always names the same image
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type('image/jpeg');
+    res.sendFile(imageFile(image.hash, size));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// ENTITIES & TRENDING
+// ============================================
+
+const ENTITY_TYPES = ['person', 'organization', 'place'];
+const MAX_ENTITIES = 20;
+const MAX_KEYWORDS = 10;
+const TRENDING_DEFAULT_HOURS = 24;
+const TRENDING_MAX_HOURS = 24 * 7;
+const TRENDING_MAX_LIMIT = 100;
+const TRENDING_MAX_ARTICLE_IDS = 20;
+
+// Mentions are counted per entity key, so "U.S." and "US" or "Apple" and
+// "apple" are the same entity
+function entityKey(name) {
+  return foldText(name)
+    .replace(/\./g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function normalizeEntities(entities = []) {
+  const seen = new Set();
+  const result = [];
+  
+  for (const entity of entities) {
+    const name = entity.name.trim().replace(/\s+/g, ' ');
+    const key = entityKey(name);
+    
+    if (!key || seen.has(`${entity.type}:${key}`)) continue;
+    seen.add(`${entity.type}:${key}`);
+    result.push({ name, type: entity.type, key });
+  }
+  
+  return result.slice(0, MAX_ENTITIES);
+}
+
+function normalizeKeywords(keywords = []) {
+  return [...new Set(keywords.map(k => k.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_KEYWORDS);
+}
+
+// Entities with the biggest rise in mentions between the previous window and the
+// current one. A mention is a published article created in the window that names
+// the entity. ?hours= sets the window length; ?type=, ?category= and ?source= filter.
+app.get('/api/trending', validate({
+  query: {
+    type: 'object',
+    properties: {
+      hours: { type: 'integer', minimum: 1, maximum: TRENDING_MAX_HOURS },
+      type: { type: 'string', enum: ENTITY_TYPES },
+      category: { type: 'string', maxLength: 50 },
+      source: { type: 'string', maxLength: 200 },
+      limit: limitSchema(TRENDING_MAX_LIMIT),
+      minMentions: { type: 'integer', minimum: 1 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { type, category, source } = req.query;
+    const hours = req.query.hours || TRENDING_DEFAULT_HOURS;
+    const limit = req.query.limit || 20;
+    const minMentions = req.query.minMentions || 2;
+    
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+    const previousFrom = new Date(from.getTime() - hours * 60 * 60 * 1000);
+    
+    const conditions = [PUBLISHED_FILTER, { createdAt: { $gte: previousFrom, $lt: to } }];
+    if (category) conditions.push(await categoryFilter(category));
+    if (source) conditions.push(sourceNameFilter(source));
+    
+    const trending = await db.collection('articles').aggregate([
+      { $match: { $and: conditions } },
+      { $project: { id: 1, createdAt: 1, entities: 1 } },
+      { $sort: { createdAt: 1 } },
+      { $unwind: '$entities' },
+      ...(type ? [{ $match: { 'entities.type': type } }] : []),
+      {
+        $group: {
+          _id: { key: '$entities.key', type: '$entities.type' },
+          // The most recent spelling is the one shown
+          name: { $last: '$entities.name' },
+          mentions: { $sum: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } },
+          previousMentions: { $sum: { $cond: [{ $lt: ['$createdAt', from] }, 1, 0] } },
+          articleIds: { $addToSet: { $cond: [{ $gte: ['$createdAt', from] }, '$id', '$$REMOVE'] } }
+        }
+      },
+      { $match: { mentions: { $gte: minMentions } } },
+      { $addFields: { change: { $subtract: ['$mentions', '$previousMentions'] } } },
+      { $match: { change: { $gt: 0 } } },
+      { $sort: { change: -1, mentions: -1 } },
+      { $limit: limit }
+    ]).toArray();
+    
+    res.json({
+      window: { from, to, hours },
+      previousWindow: { from: previousFrom, to: from },
+      entities: trending.map(entry => ({
+        name: entry.name,
+        type: entry._id.type,
+        key: entry._id.key,
+        mentions: entry.mentions,
+        previousMentions: entry.previousMentions,
+        change: entry.change,
+        // null when the entity wasn't mentioned at all in the previous window
+        growth: entry.previousMentions > 0 ? Math.round((entry.mentions / entry.previousMentions) * 100) / 100 : null,
+        articleIds: entry.articleIds.slice(0, TRENDING_MAX_ARTICLE_IDS)
+      }))
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// ARTICLE GENERATION
+// ============================================
+
+// Generate a new article from a cluster and save it. Articles that fail
+// verification are saved with status 'held' and kept out of public listings.
+// Resolves to { outcome: 'saved' | 'held' | 'duplicate', articleId, llmCalls }.
+async function createArticleFromCluster(cluster, compiledTopics) {
+  const group = cluster.items;
+  const { headline, summary, generatedContent, entities, keywords, citations, quality, llmCalls } = await generateVerifiedArticle(group);
+  
+  // Calls are billed by now; errors below must still report them
+  return keepingLlmCalls(llmCalls, async () => {
+    const article = {
+      id: generateId(),
+      headline,
+      summary,
+      generatedContent,
+      entities,
+      keywords,
+      sources: group.map(a => ({
+        id: a.rawItemId,
+        sourceId: a.sourceId,
+        name: a.sourceName,
+        url: a.sourceUrl,
+        fetchedAt: new Date()
+      })),
+      categories: [...new Set(group.map(a => a.category).filter(Boolean))],
+      citations,
+      quality,
+      status: quality.status === 'failed' ? 'held' : 'published',
+      usage: summarizeLlmCalls(llmCalls),
+      clusterId: cluster.id,
+      revision: 1,
+      publishedAt: group[0].publishedAt,
+      createdAt: new Date(),
+      updatedAt: null,
+    };
+    
+    Object.assign(article, matchArticleTopics(article, compiledTopics));
+    
+    // Clustering catches most repeats; this guards against regenerating an identical headline
+    const existing = await db.collection('articles').findOne({
+      headline,
+      createdAt: { $gt: new Date(Date.now() - retentionSettings.duplicateWindowDays * 24 * 60 * 60 * 1000) }
+    });
+    
+    if (existing) {
+      console.log(`  ⊘ Duplicate skipped`);
+      await saveCluster(cluster, existing.id);
+      await markRawItemsProcessed(group.map(a => a.rawItemId), { articleId: existing.id, clusterId: cluster.id, outcome: 'duplicate' });
+      return { outcome: 'duplicate', articleId: existing.id, llmCalls };
+    }
+    
+    // Chosen after the duplicate check so skipped stories don't download images
+    Object.assign(article, await selectArticleImage(group, { headline, category: primaryCategory(group) }));
+    
+    const outcome = article.status === 'held' ? 'held' : 'saved';
+    
+    await db.collection('articles').insertOne(article);
+    console.log(outcome === 'held'
+      ? `  ⚠️  Held for review: ${headline.substring(0, 80)}...`
+      : `  ✓ Saved: ${headline.substring(0, 80)}...`);
+    await saveCluster(cluster, article.id);
+    await markRawItemsProcessed(group.map(a => a.rawItemId), { articleId: article.id, clusterId: cluster.id, outcome });
+    return { outcome, articleId: article.id, llmCalls };
+  });
+}
+
+// Run the steps after generation. Their errors carry the already billed calls
+// as `llmCalls`, like generation errors, so the caller still records them.
+async function keepingLlmCalls(llmCalls, work) {
+  try {
+    return await work();
+  } catch (error) {
+    error.llmCalls = [...llmCalls, ...(error.llmCalls || [])];
+    throw error;
+  }
+}
+
+const ARTICLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string', minLength: 10, maxLength: 200, description: 'A compelling one-line headline' },
+    summary: { type: 'string', minLength: 20, description: '2-3 sentences summarizing the key points' },
+    article: { type: 'string', minLength: 100, description: 'The full article with inline [n] citations, paragraphs separated by blank lines' },
+    entities: {
+      type: 'array',
+      maxItems: MAX_ENTITIES,
+      description: 'People, organizations and places the article is about',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 2, maxLength: 100, description: 'Full name as written in the article' },
+          type: { type: 'string', enum: ENTITY_TYPES }
+        },
+        required: ['name', 'type']
+      }
+    },
+    keywords: {
+      type: 'array',
+      maxItems: MAX_KEYWORDS,
+      description: 'Short lowercase keywords for the main subjects',
+      items: { type: 'string', minLength: 2, maxLength: 50 }
+    }
+  },
+  // Entities and keywords are optional; articles without them get empty lists
+  required: ['headline', 'summary', 'article']
+};
+
+// Generate an article with the LLM provider. With `previous`, the current version
+// of an article is rewritten to include the sources that were added since.
+// `feedback` lists problems found in an earlier draft.
+async function generateArticleContent(group, previous = null, feedback = null) {
+  const sourcesText = group.map((article, index) => {
+    return `SOURCE ${index + 1} [${article.sourceName}]:
+Title: ${article.title}${article.byline ? `\nByline: ${article.byline}` : ''}
+Content: ${sourcePromptText(article, group.length)}
+URL: ${article.sourceUrl}
+`;
+  }).join('\n---\n\n');
+  
+  const task = previous
+    ? `You are a professional news editor. We already published an article about this story and new sources have come in. Update the article using these sources:
+
+${sourcesText}
+
+CURRENT ARTICLE:
+Headline: ${previous.headline}
+Summary: ${previous.summary}
+
+${stripSourcesSection(previous.generatedContent)}
+
+Sources ${previous.sourceCount + 1} to ${group.length} are new. Keep the facts that are still accurate, add every new fact from the new sources and correct anything they contradict.`
+    : `You are a professional news editor. Create a comprehensive news article from these sources:
+
+${sourcesText}`;
+  
+  const corrections = feedback
+    ? `\n\nA previous draft was rejected for these problems. Fix them:\n${feedback.map(f => `- ${f}`).join('\n')}\nOnly cite sources 1 to ${group.length}, and only state facts and figures that appear in the source you cite.`
+    : '';
+  
+  const prompt = `${task}${corrections}
+
+Use the write_article tool to return:
+- headline: a compelling one-line headline
+- summary: 2-3 sentences summarizing the key points
+- article: a comprehensive article that includes all unique facts from all sources. Use inline citations like [1], [2], [3] when referencing specific sources. Write in clear, professional news style.
+- entities: the people, organizations and places the article is about (up to ${MAX_ENTITIES}), each with its type
+- keywords: up to ${MAX_KEYWORDS} short lowercase keywords for the main subjects`;
+
+  const { data, calls } = await llm.generateStructured({
+    task: 'write_article',
+    prompt,
+    schema: ARTICLE_SCHEMA,
+    context: { sources: group, previous }
+  });
+  
+  const headline = data.headline.trim();
+  const summary = data.summary.trim().replace(/\n/g, ' ');
+  let generatedContent = data.article.trim();
+  
+  const sourcesSection = '\n\n---\n\nSOURCES:\n' + 
+    group.map((article, index) => 
+      `[${index + 1}] ${article.sourceName} - ${article.sourceUrl}`
+    ).join('\n');
+  
+  generatedContent += sourcesSection;
+  
+  return {
+    headline,
+    summary,
+    generatedContent,
+    entities: normalizeEntities(data.entities),
+    keywords: normalizeKeywords(data.keywords),
+    llmCalls: calls
+  };
+}
+
+function stripSourcesSection(content) {
+  return (content || '').split('\n\n---\n\nSOURCES:\n')[0];
+}
+
+// ============================================
+// CITATION VERIFICATION
+// ============================================
+
+// Share of cited claims that must be grounded in their sources for an article to pass
+const GROUNDING_MIN_RATIO = parseFloat(process.env.GROUNDING_MIN_RATIO) || 0.5;
+// Share of a claim's content words that must appear in the sources it cites
+const CLAIM_SUPPORT_THRESHOLD = 0.4;
+// Shorter paragraphs (e.g. a closing line) may go without a citation
+const UNCITED_PARAGRAPH_MIN_LENGTH = 80;
+const CITATION_PATTERN = /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g;
+
+// Articles held back by verification are hidden from public listings
+const PUBLISHED_FILTER = { status: { $ne: 'held' } };
+
+// Parse [n], [n, m] and [n-m] citations in the article body into structured
+// citations with character offsets into `generatedContent`
+function parseCitations(content, group) {
+  const body = stripSourcesSection(content);
+  const citations = [];
+  const outOfRange = [];
+  let match;
+  
+  CITATION_PATTERN.lastIndex = 0;
+  while ((match = CITATION_PATTERN.exec(body)) !== null) {
+    const position = { start: match.index, end: match.index + match[0].length };
+    
+    for (const number of expandCitationNumbers(match[1])) {
+      const source = group[number - 1];
+      
+      if (source) {
+        citations.push({
+          number,
+          sourceId: source.rawItemId,
+          sourceName: source.sourceName,
+          url: source.sourceUrl,
+          ...position
+        });
+      } else {
+        outOfRange.push({ number, ...position });
+      }
+    }
+  }
+  
+  return { citations, outOfRange };
+}
+
+function expandCitationNumbers(text) {
+  return text.split(',').flatMap(part => {
+    const [from, to] = part.split(/[–-]/).map(n => parseInt(n));
+    if (to === undefined) return [from];
+    
+    const numbers = [];
+    for (let n = from; n <= to && numbers.length < 50; n++) numbers.push(n);
+    return numbers;
+  });
+}
+
+// Paragraphs of the article body with their offsets
+function splitParagraphs(body) {
+  const paragraphs = [];
+  const pattern = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+  let match;
+  
+  while ((match = pattern.exec(body)) !== null) {
+    if (match[0].trim()) paragraphs.push({ text: match[0], start: match.index });
+  }
+  
+  return paragraphs;
+}
+
+// Sentences end at . ! or ? (plus any trailing citations) followed by a capital letter
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?](?:\s*\[[\d,\s–-]+\])*)\s+(?=["“']?[A-Z0-9])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function extractNumbers(text) {
+  return (text.match(/\d[\d,.]*\d|\d/g) || []).map(n => n.replace(/,/g, ''));
+}
+
+// Check a cited sentence against the text of the sources it cites: enough of its
+// content words must appear there, and every figure in it must appear verbatim
+function checkClaim(sentence, citedSources) {
+  const claimText = sentence.replace(CITATION_PATTERN, ' ');
+  const sourceText = citedSources.map(s => `${s.title} ${s.fullText || s.content}`).join(' ');
+  const sourceTokens = new Set(tokenize(sourceText));
+  const sourceNumbers = new Set(extractNumbers(sourceText));
+  
+  const tokens = [...new Set(tokenize(claimText))];
+  const matched = tokens.filter(token => sourceTokens.has(token)).length;
+  const support = tokens.length > 0 ? matched / tokens.length : 1;
+  const missingNumbers = extractNumbers(claimText).filter(n => !sourceNumbers.has(n));
+  
+  return {
+    support: Math.round(support * 100) / 100,
+    missingNumbers,
+    supported: support >= CLAIM_SUPPORT_THRESHOLD && missingNumbers.length === 0
+  };
+}
+
+// Verify a generated article against the sources it was written from.
+// Returns { citations, quality } where quality.status is 'passed', 'warning' or 'failed'.
+function verifyArticleContent(content, group) {
+  const body = stripSourcesSection(content);
+  const { citations, outOfRange } = parseCitations(content, group);
+  const issues = [];
+  
+  for (const citation of outOfRange) {
+    issues.push({
+      type: 'citation_out_of_range',
+      severity: 'error',
+      message: `Citation [${citation.number}] does not match any of the ${group.length} sources`,
+      start: citation.start,
+      end: citation.end
+    });
+  }
+  
+  if (citations.length === 0) {
+    issues.push({ type: 'no_citations', severity: 'error', message: 'The article does not cite any source' });
+  }
+  
+  splitParagraphs(body).forEach((paragraph, index) => {
+    CITATION_PATTERN.lastIndex = 0;
+    if (paragraph.text.trim().length >= UNCITED_PARAGRAPH_MIN_LENGTH && !CITATION_PATTERN.test(paragraph.text)) {
+      issues.push({
+        type: 'uncited_paragraph',
+        severity: 'warning',
+        message: `Paragraph ${index + 1} has no citation`,
+        paragraph: index,
+        start: paragraph.start,
+        end: paragraph.start + paragraph.text.length
+      });
+    }
+  });
+  
+  const citedNumbers = new Set(citations.map(c => c.number));
+  group.forEach((source, index) => {
+    if (!citedNumbers.has(index + 1)) {
+      issues.push({ type: 'unused_source', severity: 'info', message: `Source [${index + 1}] ${source.sourceName} is never cited` });
+    }
+  });
+  
+  // Grounding: every sentence carrying a valid citation is treated as a key claim
+  let claims = 0;
+  let supported = 0;
+  
+  for (const sentence of splitSentences(body)) {
+    const numbers = [];
+    let match;
+    CITATION_PATTERN.lastIndex = 0;
+    while ((match = CITATION_PATTERN.exec(sentence)) !== null) {
+      numbers.push(...expandCitationNumbers(match[1]).filter(n => group[n - 1]));
+    }
+    
+    if (numbers.length === 0) continue;
+    
+    claims++;
+    const result = checkClaim(sentence, [...new Set(numbers)].map(n => group[n - 1]));
+    
+    if (result.supported) {
+      supported++;
+    } else {
+      issues.push({
+        type: 'unsupported_claim',
+        severity: 'warning',
+        message: result.missingNumbers.length > 0
+          ? `Figures ${result.missingNumbers.join(', ')} do not appear in the cited sources`
+          : 'Claim is not supported by the cited sources',
+        claim: sentence.substring(0, 300),
+        citations: [...new Set(numbers)],
+        support: result.support
+      });
+    }
+  }
+  
+  const ratio = claims > 0 ? Math.round((supported / claims) * 100) / 100 : 0;
+  
+  if (claims > 0 && ratio < GROUNDING_MIN_RATIO) {
+    issues.push({
+      type: 'weak_grounding',
+      severity: 'error',
+      message: `Only ${supported} of ${claims} cited claims are supported by their sources`
+    });
+  }
+  
+  const status = issues.some(i => i.severity === 'error')
+    ? 'failed'
+    : issues.some(i => i.severity === 'warning') ? 'warning' : 'passed';
+  
+  return {
+    citations,
+    quality: {
+      status,
+      issues,
+      grounding: { claims, supported, ratio },
+      checkedAt: new Date()
+    }
+  };
+}
+
+// Generate and verify; a failing draft is regenerated once with the problems as feedback
+async function generateVerifiedArticle(group, previous = null) {
+  let llmCalls = [];
+  let feedback = null;
+  
+  for (let attempt = 1; ; attempt++) {
+    let content;
+    
+    try {
+      content = await generateArticleContent(group, previous, feedback);
+    } catch (error) {
+      error.llmCalls = [...llmCalls, ...(error.llmCalls || [])];
+      throw error;
+    }
+    
+    llmCalls = [...llmCalls, ...content.llmCalls];
+    const { citations, quality } = verifyArticleContent(content.generatedContent, group);
+    quality.attempts = attempt;
+    
+    if (quality.status !== 'failed' || attempt === 2) {
+      return { ...content, citations, quality, llmCalls };
+    }
+    
+    feedback = quality.issues.filter(i => i.severity === 'error').map(i => i.message);
+    console.log(`  ⚠️  Verification failed (${feedback.join('; ')}), regenerating...`);
+  }
+}
+
+// Release an article held back by verification (admin). A held-back rewrite
+// (`heldUpdate`) only keeps its verification report, not its text, so it can't
+// be applied and is discarded along with the release.
+app.post('/api/articles/:id/publish', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const previous = await db.collection('articles').findOneAndUpdate(
+      { id: req.params.id },
+      {
+        $set: { status: 'published', 'quality.releasedBy': req.user.id, 'quality.releasedAt': new Date() },
+        $unset: { heldUpdate: '' }
+      }
+    );
+    
+    if (!previous) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    // Subscribers hear about a held article once it is released
+    if (previous.status === 'held') {
+      dispatchArticleEvent('article.created', previous.id);
+    }
+    
+    const article = await db.collection('articles').findOne({ id: req.params.id }, { projection: { _id: 0 } });
+    res.json(article);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Re-run verification against the article's stored sources (admin)
+app.post('/api/articles/:id/verify', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id });
+    
+    if (!article) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const group = await loadArticleSourceItems(article);
+    const { citations, quality } = verifyArticleContent(article.generatedContent, group);
+    const status = quality.status === 'failed' ? 'held' : 'published';
+    
+    await db.collection('articles').updateOne({ id: article.id }, { $set: { citations, quality, status } });
+    res.json({ id: article.id, status, citations, quality });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// LIVING STORIES
+// ============================================
+
+// Add newly clustered items to an existing article and regenerate it, keeping
+// the previous version in `article_revisions`.
+// Rewrites that fail verification are not applied.
+// Resolves to { outcome: 'updated' | 'held' | 'unchanged', articleId, llmCalls }, or
+// to createArticleFromCluster's result when the article no longer exists.
+async function updateArticleFromCluster(articleId, cluster, compiledTopics) {
+  const article = await db.collection('articles').findOne({ id: articleId });
+  const rawItemIds = cluster.items.map(a => a.rawItemId);
+  
+  if (!article) {
+    // The article was archived or deleted: detach the cluster and start a new
+    // article from the new coverage
+    await db.collection('clusters').updateOne({ id: cluster.id }, { $set: { articleId: null } });
+    console.log(`  ↺ Article ${articleId} no longer exists, creating a new one`);
+    return createArticleFromCluster(cluster, compiledTopics);
+  }
+  
+  const knownUrls = new Set(article.sources.map(s => s.url));
+  const newItems = cluster.items.filter(a => !knownUrls.has(a.sourceUrl));
+  
+  await saveCluster(cluster, article.id);
+  
+  if (newItems.length === 0) {
+    console.log(`  ⊘ No new sources`);
+    await markRawItemsProcessed(rawItemIds, { articleId: article.id, clusterId: cluster.id, outcome: 'duplicate' });
+    return { outcome: 'unchanged', articleId: article.id, llmCalls: [] };
+  }
+  
+  // Existing sources keep their numbers so earlier citations stay valid
+  const existingItems = await loadArticleSourceItems(article);
+  const group = [...existingItems, ...newItems];
+  
+  const { headline, summary, generatedContent, entities, keywords, citations, quality, llmCalls } = await generateVerifiedArticle(group, {
+    headline: article.headline,
+    summary: article.summary,
+    generatedContent: article.generatedContent,
+    sourceCount: existingItems.length
+  });
+  
+  return keepingLlmCalls(llmCalls, async () => {
+    // A rewrite that fails verification is not applied; the current version stays live
+    if (quality.status === 'failed') {
+      await db.collection('articles').updateOne(
+        { id: article.id },
+        { $set: { usage: summarizeLlmCalls(llmCalls, article.usage), heldUpdate: { quality, rawItemIds, heldAt: new Date() } } }
+      );
+      await markRawItemsProcessed(rawItemIds, { articleId: article.id, clusterId: cluster.id, outcome: 'held' });
+      console.log(`  ⚠️  Update held back by verification: ${article.headline.substring(0, 80)}...`);
+      return { outcome: 'held', articleId: article.id, llmCalls };
+    }
+    
+    const revision = article.revision || 1;
+    const now = new Date();
+    
+    await db.collection('article_revisions').insertOne({
+      id: generateId(),
+      articleId: article.id,
+      revision,
+      headline: article.headline,
+      summary: article.summary,
+      generatedContent: article.generatedContent,
+      imageUrl: article.imageUrl,
+      sources: article.sources,
+      createdAt: article.updatedAt || article.createdAt,
+      replacedAt: now
+    });
+    
+    const updated = {
+      headline,
+      summary,
+      generatedContent,
+      entities,
+      keywords,
+      sources: [
+        ...article.sources,
+        ...newItems.map(a => ({
+          id: a.rawItemId,
+          sourceId: a.sourceId,
+          name: a.sourceName,
+          url: a.sourceUrl,
+          fetchedAt: now
+        }))
+      ],
+      categories: [...new Set([...(article.categories || []), ...newItems.map(a => a.category).filter(Boolean)])],
+      // New sources may bring a real image for a story that only had a placeholder
+      ...(!article.image || article.image.placeholder
+        ? await selectArticleImage(group, { headline, category: primaryCategory(group) })
+        : {}),
+      citations,
+      quality,
+      usage: summarizeLlmCalls(llmCalls, article.usage),
+      revision: revision + 1,
+      updatedAt: now
+    };
+    Object.assign(updated, matchArticleTopics(updated, compiledTopics));
+    
+    await db.collection('articles').updateOne({ id: article.id }, { $set: updated });
+    await markRawItemsProcessed(rawItemIds, { articleId: article.id, clusterId: cluster.id, outcome: 'updated' });
+    
+    console.log(`  ✓ Updated with ${newItems.length} new source(s): ${headline.substring(0, 80)}...`);
+    return { outcome: 'updated', articleId: article.id, llmCalls };
+  });
+}
+
+// Rebuild the generation input for an article's current sources from `raw_items`
+async function loadArticleSourceItems(article) {
+  const rawItems = await db.collection('raw_items')
+    .find({ id: { $in: article.sources.map(s => s.id) } })
+    .toArray();
+  const rawById = new Map(rawItems.map(raw => [raw.id, raw]));
+  
+  return article.sources.map(source => {
+    const raw = rawById.get(source.id);
+    
+    return {
+      rawItemId: source.id,
+      sourceId: source.sourceId,
+      sourceName: source.name,
+      sourceUrl: source.url,
+      title: raw ? raw.title : '',
+      content: raw ? raw.content : '',
+      fullText: raw && raw.extraction && raw.extraction.status === 'ok' ? raw.extraction.text : null,
+      byline: raw && raw.extraction ? raw.extraction.byline : null,
+      publishedAt: raw ? raw.publishedAt : article.publishedAt,
+      imageUrl: raw ? raw.imageUrl : null
+    };
+  });
+}
+
+// The current version of an article in the same shape as a stored revision
+function currentRevision(article) {
+  return {
+    articleId: article.id,
+    revision: article.revision || 1,
+    headline: article.headline,
+    summary: article.summary,
+    generatedContent: article.generatedContent,
+    imageUrl: article.imageUrl,
+    sources: article.sources,
+    createdAt: article.updatedAt || article.createdAt,
+    replacedAt: null
+  };
+}
+
+async function findRevision(article, revision) {
+  if (revision === (article.revision || 1)) {
+    return currentRevision(article);
+  }
+  
+  return db.collection('article_revisions').findOne(
+    { articleId: article.id, revision },
+    { projection: { _id: 0 } }
+  );
+}
+
+// Word/line level diff using the longest common subsequence.
+// Returns [{ type: 'equal' | 'added' | 'removed', value }].
+function diffSequences(before, after, separator) {
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  
+  const changes = [];
+  const push = (type, token) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      changes.push({ type, tokens: [token] });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', before[i++]);
+    } else {
+      push('added', after[j++]);
+    }
+  }
+  while (i < before.length) push('removed', before[i++]);
+  while (j < after.length) push('added', after[j++]);
+  
+  return changes.map(change => ({ type: change.type, value: change.tokens.join(separator) }));
+}
+
+function diffWords(before, after) {
+  const split = text => (text || '').split(/\s+/).filter(Boolean);
+  return diffSequences(split(before), split(after), ' ');
+}
+
+function diffLines(before, after) {
+  const split = text => (text || '').split('\n');
+  return diffSequences(split(before), split(after), '\n');
+}
+
+// List an article's revisions, newest first
+app.get('/api/articles/:id/revisions', validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id });
+    
+    if (!canViewArticle(article, req.user)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const revisions = await db.collection('article_revisions')
+      .find({ articleId: article.id }, { projection: { _id: 0 } })
+      .sort({ revision: -1 })
+      .toArray();
+    
+    res.json([currentRevision(article), ...revisions].map(revision => ({
+      revision: revision.revision,
+      headline: revision.headline,
+      summary: revision.summary,
+      sourceCount: revision.sources.length,
+      createdAt: revision.createdAt,
+      replacedAt: revision.replacedAt,
+      current: revision.replacedAt === null
+    })));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+const REVISION_NUMBER = { type: 'integer', minimum: 1 };
+
+// Diff two revisions (defaults: previous revision -> current)
+app.get('/api/articles/:id/revisions/diff', validate({
+  params: ID_PARAMS,
+  query: { type: 'object', properties: { from: REVISION_NUMBER, to: REVISION_NUMBER } }
+}), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id });
+    
+    if (!canViewArticle(article, req.user)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const current = article.revision || 1;
+    const to = req.query.to ?? current;
+    const from = req.query.from ?? to - 1;
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(article, from),
+      findRevision(article, to)
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      return sendError(res, 404, 'Revision not found');
+    }
+    
+    const fromUrls = new Set(fromRevision.sources.map(s => s.url));
+    const toUrls = new Set(toRevision.sources.map(s => s.url));
+    
+    res.json({
+      articleId: article.id,
+      from,
+      to,
+      headline: diffWords(fromRevision.headline, toRevision.headline),
+      summary: diffWords(fromRevision.summary, toRevision.summary),
+      generatedContent: diffLines(fromRevision.generatedContent, toRevision.generatedContent),
+      sources: {
+        added: toRevision.sources.filter(s => !fromUrls.has(s.url)),
+        removed: fromRevision.sources.filter(s => !toUrls.has(s.url))
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Get a single revision
+app.get('/api/articles/:id/revisions/:revision', validate({
+  params: { type: 'object', properties: { id: ID_STRING, revision: REVISION_NUMBER }, required: ['id', 'revision'] }
+}), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id });
+    
+    if (!canViewArticle(article, req.user)) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const revision = await findRevision(article, req.params.revision);
+    
+    if (!revision) {
+      return sendError(res, 404, 'Revision not found');
+    }
+    
+    res.json(revision);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// DIGESTS
+// ============================================
+
+const DIGEST_PERIODS = { daily: 1, weekly: 7 };
+const DIGEST_FORMATS = ['json', 'html', 'markdown'];
+const DIGEST_STORIES_PER_TOPIC = 5;
+const DIGEST_HISTORY_MAX_LIMIT = 50;
+
+const DIGEST_OVERVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    overview: { type: 'string', minLength: 50, maxLength: 1500, description: 'One paragraph summarizing the most important stories' }
+  },
+  required: ['overview']
+};
+
+// Digests are stored per user, period and UTC day, so asking again the same day
+// returns the stored digest unless ?refresh=true
+function digestPeriodKey(period, date = new Date()) {
+  return `${period}:${startOfUtcDay(date).toISOString().slice(0, 10)}`;
+}
+
+// Stories with more sources rank first, then the most recent
+function compareDigestStories(a, b) {
+  return b.sources.length - a.sources.length || new Date(b.publishedAt) - new Date(a.publishedAt);
+}
+
+function digestStory(article) {
+  return {
+    id: article.id,
+    headline: article.headline,
+    summary: article.summary,
+    imageUrl: article.imageUrl,
+    sourceCount: article.sources.length,
+    sourceNames: [...new Set(article.sources.map(s => s.name))],
+    publishedAt: article.publishedAt,
+    updatedAt: article.updatedAt || null
+  };
+}
+
+// Select the top stories per topic for a user over the period. Users without
+// topics get a single "Top stories" section. Each story appears once, under
+// the first topic that ranks it.
+async function buildDigest(user, period, { overview = false } = {}) {
+  const to = new Date();
+  const from = new Date(to.getTime() - DIGEST_PERIODS[period] * 24 * 60 * 60 * 1000);
+  const topics = await db.collection('topics').find({ userId: user.id }).sort({ name: 1 }).toArray();
+  
+  const baseFilter = {
+    $and: [
+      PUBLISHED_FILTER,
+      { $or: [{ createdAt: { $gte: from } }, { updatedAt: { $gte: from } }] },
+      ...muteConditions(user)
+    ]
+  };
+  
+  const sectionFilters = topics.length > 0
+    ? topics.map(topic => ({ topicId: topic.id, topicName: topic.name, filter: { topicIds: topic.id } }))
+    : [{ topicId: null, topicName: 'Top stories', filter: {} }];
+  
+  const included = new Set();
+  const sections = [];
+  
+  for (const { topicId, topicName, filter } of sectionFilters) {
+    const candidates = await db.collection('articles')
+      .find({ ...filter, ...baseFilter }, { projection: { _id: 0, generatedContent: 0, topicMatches: 0 } })
+      .toArray();
+    
+    const stories = candidates
+      .filter(article => !included.has(article.id))
+      .sort(compareDigestStories)
+      .slice(0, DIGEST_STORIES_PER_TOPIC);
+    
+    stories.forEach(article => included.add(article.id));
+    
+    if (stories.length > 0) {
+      sections.push({ topicId, topicName, stories: stories.map(digestStory) });
+    }
+  }
+  
+  const digest = {
+    id: generateId(),
+    userId: user.id,
+    period,
+    periodKey: digestPeriodKey(period, to),
+    from,
+    to,
+    sections,
+    storyCount: included.size,
+    overview: null,
+    overviewError: null,
+    usage: null,
+    generatedAt: new Date()
+  };
+  
+  if (overview && sections.length > 0) {
+    try {
+      Object.assign(digest, await generateDigestOverview(digest));
+    } catch (error) {
+      // The digest is still useful without its overview
+      console.log(`  ✗ Digest overview failed: ${error.message}`);
+      digest.overviewError = error.message;
+    }
+  }
+  
+  return digest;
+}
+
+async function generateDigestOverview(digest) {
+  const budgetStop = await checkSpendingCap();
+  if (budgetStop) {
+    throw new Error(budgetStop);
+  }
+  
+  const storiesText = digest.sections.map(section =>
+    `${section.topicName}:\n${section.stories.map(s => `- ${s.headline} (${s.sourceCount} sources): ${s.summary}`).join('\n')}`
+  ).join('\n\n');
+  
+  const prompt = `You are a news editor writing the introduction to a ${digest.period} news digest. These are the stories it covers, grouped by topic:
+
+${storiesText}
+
+Use the write_digest_overview tool to return one short paragraph (3-5 sentences) that tells the reader what mattered most in this period. Only mention facts from the stories above.`;
+  
+  let result;
+  try {
+    result = await llm.generateStructured({
+      task: 'write_digest_overview',
+      prompt,
+      schema: DIGEST_OVERVIEW_SCHEMA,
+      context: { digest }
+    });
+  } catch (error) {
+    await recordLlmUsage(error.llmCalls || [], { job: null, articleId: null, outcome: 'failed', category: 'digest' });
+    throw error;
+  }
+  
+  await recordLlmUsage(result.calls, { job: null, articleId: null, outcome: 'digest', category: 'digest' });
+  return { overview: result.data.overview.trim(), usage: summarizeLlmCalls(result.calls) };
+}
+
+function digestTitle(digest) {
+  const label = digest.period === 'weekly' ? 'Weekly digest' : 'Daily digest';
+  return `${label} for ${new Date(digest.to).toUTCString().slice(0, 16)}`;
+}
+
+function renderDigestMarkdown(digest, baseUrl) {
+  const lines = [`# ${digestTitle(digest)}`, ''];
+  
+  if (digest.overview) {
+    lines.push(digest.overview, '');
+  }
+  
+  if (digest.sections.length === 0) {
+    lines.push('_No new stories in this period._', '');
+  }
+  
+  for (const section of digest.sections) {
+    lines.push(`## ${section.topicName}`, '');
+    for (const story of section.stories) {
+      const headline = story.headline.replace(/([\[\]])/g, '\\$1');
+      lines.push(`- **[${headline}](${baseUrl}/article/${story.id})** — ${story.summary} _(${story.sourceCount} sources: ${story.sourceNames.join(', ')})_`);
+    }
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+// Email-friendly HTML: a single table-free column with inline styles
+function renderDigestHtml(digest, baseUrl) {
+  const sections = digest.sections.map(section => html`
+    <h2 style="font-size:18px;border-bottom:1px solid #eee;padding-bottom:4px;margin:28px 0 12px;">${section.topicName}</h2>
+    ${section.stories.map(story => html`
+    <div style="margin-bottom:18px;">
+      <a href="${baseUrl}/article/${encodeURIComponent(story.id)}" style="font-size:16px;font-weight:bold;color:#007AFF;text-decoration:none;">${story.headline}</a>
+      <p style="margin:4px 0;">${story.summary}</p>
+      <div style="font-size:12px;color:#666;">${story.sourceCount} sources: ${story.sourceNames.join(', ')}</div>
+    </div>`)}`);
+  
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${digestTitle(digest)}</title>
+</head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;padding:20px;line-height:1.5;color:#333;">
+  <h1 style="font-size:24px;margin-bottom:8px;">${digestTitle(digest)}</h1>
+  ${digest.overview && html`<p style="background:#f5f5f5;padding:15px;border-radius:8px;">${digest.overview}</p>`}
+  ${digest.sections.length === 0 && html`<p>No new stories in this period.</p>`}
+  ${sections}
+  <p style="font-size:12px;color:#999;text-align:center;margin-top:40px;">Sent by ${SITE_NAME}</p>
+</body>
+</html>
+`.toString();
+}
+
+function sendDigest(req, res, digest) {
+  const format = req.query.format || 'json';
+  const baseUrl = publicBaseUrl(req);
+  
+  if (format === 'html') {
+    return res.type('html').send(renderDigestHtml(digest, baseUrl));
+  }
+  if (format === 'markdown') {
+    return res.type('text/markdown; charset=utf-8').send(renderDigestMarkdown(digest, baseUrl));
+  }
+  
+  const { _id, ...rest } = digest;
+  res.json(rest);
+}
+
+const DIGEST_PARAMS = { type: 'object', properties: { userId: ID_STRING, digestId: ID_STRING }, required: ['userId'] };
+const DIGEST_PERIOD = { type: 'string', enum: Object.keys(DIGEST_PERIODS) };
+const DIGEST_FORMAT = { type: 'string', enum: DIGEST_FORMATS };
+
+// Users can read their own digests; admins can read anyone's
+async function digestUser(req, res) {
+  if (req.user.role !== 'admin' && req.params.userId !== req.user.id) {
+    sendError(res, 403, 'You can only read your own digests');
+    return null;
+  }
+  
+  const user = req.params.userId === req.user.id
+    ? req.user
+    : await db.collection('users').findOne({ id: req.params.userId }, { projection: { _id: 0, passwordHash: 0 } });
+  
+  if (!user) {
+    sendError(res, 404, 'User not found');
+  }
+  return user;
+}
+
+// Only digest requests that may call the LLM count against the limit
+const digestRateLimit = rateLimit('digests');
+function limitDigestGeneration(req, res, next) {
+  return req.query.refresh === 'true' || req.query.overview === 'true' ? digestRateLimit(req, res, next) : next();
+}
+
+// Current digest for ?period=daily|weekly as ?format=json|html|markdown.
+// ?overview=true adds an LLM-written overview; ?refresh=true regenerates a stored digest.
+app.get('/api/digests/:userId', requireAuth, validate({
+  params: DIGEST_PARAMS,
+  query: {
+    type: 'object',
+    properties: { period: DIGEST_PERIOD, format: DIGEST_FORMAT, overview: BOOLEAN_STRING, refresh: BOOLEAN_STRING }
+  }
+}), limitDigestGeneration, async (req, res) => {
+  try {
+    const { period = 'daily', format = 'json', overview, refresh } = req.query;
+    
+    const user = await digestUser(req, res);
+    if (!user) return;
+    
+    const periodKey = digestPeriodKey(period);
+    let digest = refresh === 'true'
+      ? null
+      : await db.collection('digests').findOne({ userId: user.id, periodKey });
+    
+    // A stored digest without an overview is regenerated when one is asked for
+    if (digest && overview === 'true' && !digest.overview) {
+      digest = null;
+    }
+    
+    if (!digest) {
+      digest = await buildDigest(user, period, { overview: overview === 'true' });
+      await db.collection('digests').replaceOne({ userId: user.id, periodKey }, digest, { upsert: true });
+    }
+    
+    sendDigest(req, res, digest);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Stored digests, newest first, without their stories
+app.get('/api/digests/:userId/history', requireAuth, validate({
+  params: DIGEST_PARAMS,
+  query: { type: 'object', properties: { period: DIGEST_PERIOD, limit: limitSchema(DIGEST_HISTORY_MAX_LIMIT) } }
+}), async (req, res) => {
+  try {
+    const user = await digestUser(req, res);
+    if (!user) return;
+    
+    const limit = req.query.limit || 20;
+    const filter = { userId: user.id };
+    if (req.query.period) filter.period = req.query.period;
+    
+    const digests = await db.collection('digests')
+      .find(filter, { projection: { _id: 0, sections: 0 } })
+      .sort({ generatedAt: -1 })
+      .limit(limit)
+      .toArray();
+    
+    res.json(digests);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Re-fetch a stored digest in any format
+app.get('/api/digests/:userId/:digestId', requireAuth, validate({
+  params: { ...DIGEST_PARAMS, required: ['userId', 'digestId'] },
+  query: { type: 'object', properties: { format: DIGEST_FORMAT } }
+}), async (req, res) => {
+  try {
+    const user = await digestUser(req, res);
+    if (!user) return;
+    
+    const digest = await db.collection('digests').findOne({ id: req.params.digestId, userId: user.id });
+    
+    if (!digest) {
+      return sendError(res, 404, 'Digest not found');
+    }
+    
+    sendDigest(req, res, digest);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+const WEBHOOK_EVENTS = ['article.created', 'article.updated'];
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 100;
+const WEBHOOK_RETRY_BATCH_SIZE = 50;
+// A delivery being attempted is leased; if the process dies mid-attempt the
+// lease runs out and the retry job picks the delivery up again
+const WEBHOOK_LEASE_MS = WEBHOOK_TIMEOUT_MS + 60 * 1000;
+
+// Retry failed deliveries once a minute; pending deliveries survive a restart
+async function initializeWebhooks() {
+  cron.schedule('* * * * *', () => {
+    retryWebhookDeliveries().catch(error => {
+      console.error('❌ Webhook retry error:', error);
+    });
+  });
+}
+
+// The secret is only returned when a webhook is created
+function publicWebhook(webhook) {
+  const { _id, secret, ...rest } = webhook;
+  return rest;
+}
+
+function webhookOwnerFilter(req) {
+  return req.user.role === 'admin' ? { id: req.params.id } : { id: req.params.id, userId: req.user.id };
+}
+
+const WEBHOOK_PROPERTIES = {
+  url: { type: 'string', format: 'uri', maxLength: 2000 },
+  topicId: { type: ['string', 'null'], pattern: ID_STRING.pattern },
+  category: { type: ['string', 'null'], maxLength: 50 },
+  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1 },
+  enabled: { type: 'boolean' },
+  description: { type: ['string', 'null'], maxLength: 500 }
+};
+
+// Check webhook fields the schema can't (topic ownership, exclusive filters);
+// returns { data } or { error }. A webhook with neither topicId nor category
+// receives every article.
+async function parseWebhookInput(req, body, partial = false) {
+  const { url, topicId, category, events, enabled, description } = body;
+  const data = {};
+  
+  if (url !== undefined) {
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      return { error: `Invalid webhook URL: ${error.message}` };
+    }
+    data.url = url;
+  }
+  
+  if (topicId !== undefined && topicId !== null) {
+    if (!await findOwnTopic(req.user, topicId)) {
+      return { error: 'Topic not found' };
+    }
+  }
+  if (topicId && category) {
+    return { error: 'A webhook can filter by topicId or by category, not both' };
+  }
+  
+  // Setting one filter clears the other
+  if (topicId !== undefined || category !== undefined || !partial) {
+    data.topicId = topicId || null;
+    data.category = category || null;
+  }
+  
+  if (events !== undefined) {
+    data.events = [...new Set(events)];
+  } else if (!partial) {
+    data.events = [...WEBHOOK_EVENTS];
+  }
+  
+  if (enabled !== undefined) data.enabled = enabled;
+  if (description !== undefined) data.description = description;
+  
+  return { data };
+}
+
+// List webhooks (admins may pass ?userId)
+app.get('/api/webhooks', requireAuth, validate({
+  query: { type: 'object', properties: { userId: ID_STRING } }
+}), async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id;
+    const webhooks = await db.collection('webhooks').find({ userId }).sort({ createdAt: -1 }).toArray();
+    res.json(webhooks.map(publicWebhook));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Register a webhook. The response includes the signing secret, which is not shown again.
+app.post('/api/webhooks', requireAuth, validate({
+  body: { type: 'object', properties: WEBHOOK_PROPERTIES, required: ['url'] }
+}), async (req, res) => {
+  try {
+    const { data, error } = await parseWebhookInput(req, req.body);
+    
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    
+    const webhook = {
+      id: generateId(),
+      userId: req.user.id,
+      description: null,
+      enabled: true,
+      ...data,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      lastDeliveryAt: null,
+      lastDeliveryStatus: null,
+      createdAt: new Date()
+    };
+    
+    await db.collection('webhooks').insertOne(webhook);
+    const { _id, ...created } = webhook;
+    res.status(201).json(created);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+app.put('/api/webhooks/:id', requireAuth, validate({
+  params: ID_PARAMS,
+  body: { type: 'object', properties: WEBHOOK_PROPERTIES }
+}), async (req, res) => {
+  try {
+    const { data, error } = await parseWebhookInput(req, req.body, true);
+    
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    
+    const webhook = await db.collection('webhooks').findOneAndUpdate(
+      webhookOwnerFilter(req),
+      { $set: { ...data, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!webhook) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    
+    res.json(publicWebhook(webhook));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, rateLimit('deletes'), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.collection('webhooks').deleteOne(webhookOwnerFilter(req));
+    
+    if (result.deletedCount === 0) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    
+    await db.collection('webhook_deliveries').deleteMany({ webhookId: req.params.id });
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Delivery log, newest first
+app.get('/api/webhooks/:id/deliveries', requireAuth, validate({
+  params: ID_PARAMS,
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'delivering', 'succeeded', 'failed'] },
+      limit: limitSchema(WEBHOOK_DELIVERIES_MAX_LIMIT)
+    }
+  }
+}), async (req, res) => {
+  try {
+    const webhook = await db.collection('webhooks').findOne(webhookOwnerFilter(req));
+    
+    if (!webhook) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    
+    const limit = req.query.limit || 20;
+    const filter = { webhookId: webhook.id };
+    if (req.query.status) filter.status = req.query.status;
+    
+    const deliveries = await db.collection('webhook_deliveries')
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    
+    res.json(deliveries);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Send a `webhook.test` event and report the outcome of the first attempt
+app.post('/api/webhooks/:id/test', requireAuth, rateLimit('webhookTests'), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const webhook = await db.collection('webhooks').findOne(webhookOwnerFilter(req));
+    
+    if (!webhook) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    
+    const delivery = await createWebhookDelivery(webhook, 'webhook.test', {
+      message: 'This is a test event from NewsAggregator',
+      webhookId: webhook.id
+    });
+    
+    res.json(await attemptWebhookDelivery(delivery, webhook));
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Article fields sent in webhook payloads
+function webhookArticle(article) {
+  const baseUrl = process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '') : null;
+  
+  return {
+    id: article.id,
+    headline: article.headline,
+    summary: article.summary,
+    url: baseUrl ? `${baseUrl}/article/${article.id}` : null,
+    imageUrl: baseUrl ? absoluteImageUrl(article.imageUrl, baseUrl) : article.imageUrl,
+    categories: article.categories || [],
+    topicIds: article.topicIds || [],
+    sources: article.sources.map(s => ({ name: s.name, url: s.url })),
+    revision: article.revision || 1,
+    publishedAt: article.publishedAt,
+    createdAt: article.createdAt,
+    updatedAt: article.updatedAt
+  };
+}
+
+// Queue deliveries of an article event to every matching webhook. Never throws,
+// so callers in the ingestion pipeline can fire and forget.
+async function dispatchArticleEvent(event, articleId) {
+  try {
+    const article = await db.collection('articles').findOne({ id: articleId, ...PUBLISHED_FILTER });
+    
+    if (!article) {
+      return;
+    }
+    
+    const webhooks = await db.collection('webhooks').find({
+      enabled: true,
+      events: event,
+      $or: [
+        { topicId: null, category: null },
+        { topicId: { $in: article.topicIds || [] } },
+        { category: { $in: article.categories || [] } }
+      ]
+    }).toArray();
+    
+    for (const webhook of webhooks) {
+      const delivery = await createWebhookDelivery(webhook, event, { article: webhookArticle(article) }, article.id);
+      await attemptWebhookDelivery(delivery, webhook);
+    }
+  } catch (error) {
+    console.error(`❌ Webhook dispatch error (${event} ${articleId}):`, error);
+  }
+}
+
+// Deliveries are created already leased, because the caller attempts them right away
+async function createWebhookDelivery(webhook, event, data, articleId = null) {
+  const delivery = {
+    id: generateId(),
+    webhookId: webhook.id,
+    userId: webhook.userId,
+    event,
+    articleId,
+    payload: { id: null, event, createdAt: new Date().toISOString(), data },
+    status: 'delivering',
+    attempts: [],
+    nextAttemptAt: new Date(Date.now() + WEBHOOK_LEASE_MS),
+    createdAt: new Date(),
+    completedAt: null
+  };
+  delivery.payload.id = delivery.id;
+  
+  await db.collection('webhook_deliveries').insertOne(delivery);
+  return delivery;
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed payloads
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Lease the next due delivery. findOneAndUpdate makes sure only one caller
+// attempts a delivery at a time.
+async function claimWebhookDelivery() {
+  const now = new Date();
+  
+  return db.collection('webhook_deliveries').findOneAndUpdate(
+    { status: { $in: ['pending', 'delivering'] }, nextAttemptAt: { $lte: now } },
+    { $set: { status: 'delivering', nextAttemptAt: new Date(now.getTime() + WEBHOOK_LEASE_MS) } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// POST one leased delivery. 2xx completes it; otherwise it is retried with exponential
+// backoff until WEBHOOK_MAX_ATTEMPTS. Resolves to the updated delivery.
+async function attemptWebhookDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date(), httpStatus: null, error: null, durationMs: null };
+  const startedAt = Date.now();
+  
+  try {
+    // Redirects count as failures; the target is re-checked on every attempt
+    const response = await guardedFetch(webhook.url, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NewsAggregator-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    attempt.httpStatus = response.status;
+    
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+  }
+  
+  attempt.durationMs = Date.now() - startedAt;
+  
+  // The lease means nobody else touched the delivery since it was claimed
+  const attemptCount = delivery.attempts.length + 1;
+  const succeeded = !attempt.error;
+  const exhausted = !succeeded && attemptCount >= WEBHOOK_MAX_ATTEMPTS;
+  const update = {
+    status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+    nextAttemptAt: succeeded || exhausted
+      ? null
+      : new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attemptCount - 1)),
+    completedAt: succeeded || exhausted ? new Date() : null
+  };
+  
+  const result = await db.collection('webhook_deliveries').findOneAndUpdate(
+    { id: delivery.id },
+    { $set: update, $push: { attempts: attempt } },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  await db.collection('webhooks').updateOne(
+    { id: webhook.id },
+    { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: update.status } }
+  );
+  
+  if (!succeeded) {
+    console.log(`  ✗ Webhook ${webhook.id} ${delivery.event} attempt ${attemptCount}: ${attempt.error}`);
+  }
+  
+  return result;
+}
+
+// Deliveries are claimed one at a time, so overlapping runs (and the first
+// attempt made by dispatchArticleEvent) never send the same delivery twice
+async function retryWebhookDeliveries() {
+  for (let i = 0; i < WEBHOOK_RETRY_BATCH_SIZE; i++) {
+    const delivery = await claimWebhookDelivery();
+    
+    if (!delivery) {
+      return;
+    }
+    
+    const webhook = await db.collection('webhooks').findOne({ id: delivery.webhookId });
+    
+    if (!webhook || !webhook.enabled) {
+      await db.collection('webhook_deliveries').updateOne(
+        { id: delivery.id },
+        { $set: { status: 'failed', nextAttemptAt: null, completedAt: new Date(), error: 'Webhook removed or disabled' } }
+      );
+      continue;
+    }
+    
+    await attemptWebhookDelivery(delivery, webhook);
+  }
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+// Defaults can be overridden with env vars and are then persisted in the
+// `settings` collection so changes survive a restart
+const DEFAULT_SCHEDULER_SETTINGS = {
+  paused: process.env.SCHEDULER_PAUSED === 'true',
+  defaultIntervalMinutes: parseInt(process.env.FETCH_INTERVAL_MINUTES) || 60,
+  quietHours: {
+    start: process.env.QUIET_HOURS_START !== undefined ? parseInt(process.env.QUIET_HOURS_START) : null,
+    end: process.env.QUIET_HOURS_END !== undefined ? parseInt(process.env.QUIET_HOURS_END) : null
+  }
+};
+
+let schedulerSettings = { ...DEFAULT_SCHEDULER_SETTINGS };
+let schedulerTask = null;
+
+// Load saved settings and start the per-minute scheduler tick
+async function initializeScheduler() {
+  const saved = await db.collection('settings').findOne({ id: 'scheduler' });
+  
+  if (saved) {
+    schedulerSettings = {
+      paused: saved.paused,
+      defaultIntervalMinutes: saved.defaultIntervalMinutes,
+      quietHours: saved.quietHours
+    };
+  }
+  
+  schedulerTask = cron.schedule('* * * * *', () => {
+    schedulerTick().catch(error => {
+      console.error('❌ Scheduler error:', error);
+    });
+  }, { scheduled: !schedulerSettings.paused });
+  
+  console.log(`✓ Scheduler ${schedulerSettings.paused ? 'paused' : 'started'} (default interval ${schedulerSettings.defaultIntervalMinutes} min)`);
+}
+
+async function saveSchedulerSettings() {
+  await db.collection('settings').updateOne(
+    { id: 'scheduler' },
+    { $set: { ...schedulerSettings, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// Fetch every enabled source whose interval has elapsed
+async function schedulerTick() {
+  if (schedulerSettings.paused || activeJob || isQuietHours(new Date())) {
+    return;
+  }
+  
+  const sources = await db.collection('sources').find({ enabled: true }).toArray();
+  const now = Date.now();
+  const dueSources = sources.filter(source => {
+    if (!source.lastFetchedAt) return true;
+    const interval = source.fetchIntervalMinutes || schedulerSettings.defaultIntervalMinutes;
+    return now - new Date(source.lastFetchedAt).getTime() >= interval * 60 * 1000;
+  });
+  
+  if (dueSources.length === 0) {
+    return;
+  }
+  
+  console.log(`\n⏰ Scheduled fetch for ${dueSources.length} source(s)`);
+  let started;
+  try {
+    started = await startNewsJob(dueSources, 'scheduled');
+  } catch (error) {
+    // A manual fetch started while the due sources were loaded
+    if (error.code === 'JOB_RUNNING') {
+      console.log('  ⊘ Another fetch is already running, skipping');
+      return;
+    }
+    throw error;
+  }
+  await started.done;
+}
+
+// Quiet hours are whole hours in server local time and may wrap midnight (e.g. 23 -> 6)
+function isQuietHours(date) {
+  const { start, end } = schedulerSettings.quietHours || {};
+  
+  if (start === null || start === undefined || end === null || end === undefined || start === end) {
+    return false;
+  }
+  
+  const hour = date.getHours();
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+// Get scheduler status
+app.get('/api/scheduler', requireAdmin, (req, res) => {
+  res.json({
+    ...schedulerSettings,
+    running: !!activeJob,
+    activeJobId: activeJob ? activeJob.id : null,
+    inQuietHours: isQuietHours(new Date())
+  });
+});
+
+// Update default interval and quiet hours
+const QUIET_HOUR = { type: ['integer', 'null'], minimum: 0, maximum: 23 };
+
+app.put('/api/scheduler', requireAdmin, validate({
+  body: {
+    type: 'object',
+    properties: {
+      defaultIntervalMinutes: { type: 'integer', minimum: 1 },
+      // null turns quiet hours off
+      quietHours: { type: ['object', 'null'], properties: { start: QUIET_HOUR, end: QUIET_HOUR }, required: ['start', 'end'] }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { defaultIntervalMinutes, quietHours } = req.body;
+    
+    if (defaultIntervalMinutes !== undefined) {
+      schedulerSettings.defaultIntervalMinutes = defaultIntervalMinutes;
+    }
+    
+    if (quietHours !== undefined) {
+      schedulerSettings.quietHours = quietHours ? { start: quietHours.start, end: quietHours.end } : { start: null, end: null };
+    }
+    
+    await saveSchedulerSettings();
+    res.json(schedulerSettings);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Pause scheduled fetching
+app.post('/api/scheduler/pause', requireAdmin, validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
+  try {
+    schedulerSettings.paused = true;
+    if (schedulerTask) schedulerTask.stop();
+    
+    await saveSchedulerSettings();
+    console.log('⏸  Scheduler paused');
+    res.json({ message: 'Scheduler paused', ...schedulerSettings });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// Resume scheduled fetching
+app.post('/api/scheduler/resume', requireAdmin, validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
+  try {
+    schedulerSettings.paused = false;
+    if (schedulerTask) schedulerTask.start();
+    
+    await saveSchedulerSettings();
+    console.log('▶️  Scheduler resumed');
+    res.json({ message: 'Scheduler resumed', ...schedulerSettings });
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// List recent fetch runs
+app.get('/api/fetch-runs', requireAdmin, validate({
+  query: { type: 'object', properties: { limit: limitSchema(500) } }
+}), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    
+    const runs = await db.collection('fetch_runs')
+      .find()
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    
+    res.json(runs);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// RETENTION & ARCHIVE
+// ============================================
+
+// Archived articles are dropped for good by a TTL index after this many days
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 365;
+const RETENTION_CRON = process.env.RETENTION_CRON || '30 3 * * *';
+const RETENTION_BATCH_SIZE = 500;
+const RETENTION_PREVIEW_LIMIT = 100;
+
+// Like the scheduler, env defaults are persisted in `settings` once changed.
+// `categories` maps a category to its own retention in days, or null to keep forever.
+const DEFAULT_RETENTION_SETTINGS = {
+  defaultDays: parseInt(process.env.RETENTION_DAYS) || 30,
+  categories: {},
+  duplicateWindowDays: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 7
+};
+
+let retentionSettings = { ...DEFAULT_RETENTION_SETTINGS };
+
+// Load saved settings and schedule the daily archive run
+async function initializeRetention() {
+  const saved = await db.collection('settings').findOne({ id: 'retention' });
+  
+  if (saved) {
+    retentionSettings = {
+      defaultDays: saved.defaultDays,
+      categories: saved.categories || {},
+      duplicateWindowDays: saved.duplicateWindowDays
+    };
+  }
+  
+  cron.schedule(RETENTION_CRON, () => {
+    archiveExpiredArticles()
+      .then(() => pruneImageCache())
+      .catch(error => {
+        console.error('❌ Retention error:', error);
+      });
+  });
+  
+  console.log(`✓ Retention scheduled (${RETENTION_CRON}, default ${retentionSettings.defaultDays} days)`);
+}
+
+async function saveRetentionSettings() {
+  await db.collection('settings').updateOne(
+    { id: 'retention' },
+    { $set: { ...retentionSettings, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// Pipeline stages keeping articles that are never archived out of the
+// results: pinned articles and anything a user has bookmarked
+function retentionExemptStages() {
+  return [
+    { $match: { pinned: { $ne: true } } },
+    {
+      $lookup: {
+        from: 'article_states',
+        let: { articleId: '$id' },
+        pipeline: [
+          { $match: { bookmarked: true, $expr: { $eq: ['$articleId', '$$articleId'] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'bookmarks'
+      }
+    },
+    { $match: { bookmarks: { $size: 0 } } }
+  ];
+}
+
+// Days an article is kept: the longest policy among its categories, null for forever.
+// Older articles without `categories` fall back to the default policy.
+function articleRetentionDays(article, settings) {
+  const categories = article.categories && article.categories.length > 0 ? article.categories : [null];
+  const days = categories.map(category =>
+    category !== null && category in settings.categories ? settings.categories[category] : settings.defaultDays
+  );
+  
+  return days.includes(null) ? null : Math.max(...days);
+}
+
+// Living stories stay as long as they keep getting updates
+function articleLastActivity(article) {
+  return new Date(article.updatedAt || article.createdAt);
+}
+
+// Articles past their retention under `settings`, as
+// [{ id, headline, categories, lastActivityAt, expiredAt }], oldest first
+async function findExpiredArticles(settings, limit = Infinity) {
+  const policies = [settings.defaultDays, ...Object.values(settings.categories)].filter(d => d !== null);
+  
+  if (policies.length === 0) {
+    return [];
+  }
+  
+  // Nothing is expired before the shortest policy has passed
+  const earliest = new Date(Date.now() - Math.min(...policies) * 24 * 60 * 60 * 1000);
+  const cursor = db.collection('articles').aggregate([
+    { $match: { $or: [{ updatedAt: { $lt: earliest } }, { updatedAt: null, createdAt: { $lt: earliest } }] } },
+    { $sort: { createdAt: 1 } },
+    ...retentionExemptStages(),
+    { $project: { _id: 0, id: 1, headline: 1, categories: 1, createdAt: 1, updatedAt: 1 } }
+  ]);
+  
+  const expired = [];
+  for await (const article of cursor) {
+    const days = articleRetentionDays(article, settings);
+    if (days === null) continue;
+    
+    const lastActivityAt = articleLastActivity(article);
+    const expiredAt = new Date(lastActivityAt.getTime() + days * 24 * 60 * 60 * 1000);
+    
+    if (expiredAt <= new Date()) {
+      expired.push({ id: article.id, headline: article.headline, categories: article.categories || [], lastActivityAt, expiredAt });
+      if (expired.length >= limit) break;
+    }
+  }
+  
+  return expired;
+}
+
+// Move expired articles into `articles_archive`
+async function archiveExpiredArticles(reason = 'retention') {
+  const expired = await findExpiredArticles(retentionSettings);
+  let archivedCount = 0;
+  
+  for (let i = 0; i < expired.length; i += RETENTION_BATCH_SIZE) {
+    const ids = expired.slice(i, i + RETENTION_BATCH_SIZE).map(a => a.id);
+    const articles = await db.collection('articles').find({ id: { $in: ids } }).toArray();
+    
+    if (articles.length === 0) continue;
+    
+    const archivedAt = new Date();
+    await db.collection('articles_archive').bulkWrite(articles.map(({ _id, ...article }) => ({
+      replaceOne: {
+        filter: { id: article.id },
+        replacement: { ...article, archivedAt, archiveReason: reason },
+        upsert: true
+      }
+    })));
+    const result = await db.collection('articles').deleteMany({ id: { $in: articles.map(a => a.id) } });
+    archivedCount += result.deletedCount;
+  }
+  
+  if (archivedCount > 0) {
+    console.log(`🗄️  Archived ${archivedCount} expired article(s)`);
+  }
+  
+  return { archivedCount };
+}
+
+function isValidRetentionDays(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+// Validate a (partial) policy and merge it over `base`; returns { settings } or { error }
+function mergeRetentionSettings(base, { defaultDays, categories, duplicateWindowDays }) {
+  const settings = { ...base, categories: { ...base.categories } };
+  
+  if (defaultDays !== undefined) {
+    if (!isValidRetentionDays(defaultDays)) {
+      return { error: 'defaultDays must be a positive integer or null' };
+    }
+    settings.defaultDays = defaultDays;
+  }
+  
+  if (categories !== undefined) {
+    if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+      return { error: 'categories must be an object mapping category names to days' };
+    }
+    
+    for (const [category, days] of Object.entries(categories)) {
+      if (days === undefined || days === 'default') {
+        // Remove the category's own policy
+        delete settings.categories[category];
+      } else if (!isValidRetentionDays(days)) {
+        return { error: `Retention for category "${category}" must be a positive integer, null or "default"` };
+      } else {
+        settings.categories[category] = days;
+      }
+    }
+  }
+  
+  if (duplicateWindowDays !== undefined) {
+    if (!Number.isInteger(duplicateWindowDays) || duplicateWindowDays < 1) {
+      return { error: 'duplicateWindowDays must be a positive integer' };
     }
-    
-    const updatedSource = await db.collection('sources').findOne({ id: req.params.id });
-    res.json(updatedSource);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    settings.duplicateWindowDays = duplicateWindowDays;
   }
+  
+  return { settings };
+}
+
+app.get('/api/retention', requireAdmin, (req, res) => {
+  res.json({ ...retentionSettings, archiveRetentionDays: ARCHIVE_RETENTION_DAYS, schedule: RETENTION_CRON });
 });
 
-// Delete news source
-app.delete('/api/sources/:id', async (req, res) => {
+// Per-category values are checked by mergeRetentionSettings
+const RETENTION_BODY = {
+  type: 'object',
+  properties: {
+    defaultDays: { type: ['integer', 'null'], minimum: 1 },
+    categories: { type: 'object' },
+    duplicateWindowDays: { type: 'integer', minimum: 1 }
+  }
+};
+
+app.put('/api/retention', requireAdmin, validate({ body: RETENTION_BODY }), async (req, res) => {
   try {
-    const result = await db.collection('sources').deleteOne({ id: req.params.id });
+    const { settings, error } = mergeRetentionSettings(retentionSettings, req.body);
     
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Source not found' });
+    if (error) {
+      return sendError(res, 400, error);
     }
     
-    res.json({ message: 'Source deleted successfully' });
+    retentionSettings = settings;
+    await saveRetentionSettings();
+    res.json(retentionSettings);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
-// ============================================
-// ARTICLES API ENDPOINTS
-// ============================================
-
-// Get all articles
-app.get('/api/articles', async (req, res) => {
+// Preview what the current policy, or the policy in the body merged over it, would archive
+app.post('/api/retention/preview', requireAdmin, validate({ body: RETENTION_BODY }), async (req, res) => {
   try {
-    const { topicId, limit = 50 } = req.query;
+    const { settings, error } = mergeRetentionSettings(retentionSettings, req.body);
     
-    const filter = topicId ? { topicId } : {};
+    if (error) {
+      return sendError(res, 400, error);
+    }
     
-    const articles = await db.collection('articles')
-      .find(filter)
-      .sort({ publishedAt: -1 })
-      .limit(parseInt(limit))
-      .toArray();
+    const expired = await findExpiredArticles(settings);
+    const byCategory = {};
+    for (const article of expired) {
+      for (const category of article.categories.length > 0 ? article.categories : ['uncategorized']) {
+        byCategory[category] = (byCategory[category] || 0) + 1;
+      }
+    }
     
-    res.json(articles);
+    res.json({
+      settings,
+      count: expired.length,
+      byCategory,
+      articles: expired.slice(0, RETENTION_PREVIEW_LIMIT)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
-// Get single article
-app.get('/api/articles/:id', async (req, res) => {
+// Archive expired articles and prune unused images now instead of waiting for the daily run
+app.post('/api/retention/run', requireAdmin, validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
   try {
-    const article = await db.collection('articles').findOne({ id: req.params.id });
-    if (!article) {
-      return res.status(404).json({ error: 'Article not found' });
-    }
-    res.json(article);
+    const archived = await archiveExpiredArticles('manual');
+    res.json({ ...archived, ...await pruneImageCache() });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
-// ============================================
-// TOPICS API ENDPOINTS
-// ============================================
+// Pinned articles are exempt from retention
+app.post('/api/articles/:id/pin', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticlePinned(req, res, true);
+});
 
-// Get topics
-app.get('/api/topics', async (req, res) => {
-  try {
-    const { userId } = req.query;
-    const filter = userId ? { userId } : {};
-    
-    const topics = await db.collection('topics').find(filter).toArray();
-    res.json(topics);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+app.delete('/api/articles/:id/pin', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
+  await setArticlePinned(req, res, false);
 });
 
-// Create topic
-app.post('/api/topics', async (req, res) => {
+async function setArticlePinned(req, res, pinned) {
   try {
-    const { name, keywords, userId } = req.body;
+    const result = await db.collection('articles').updateOne({ id: req.params.id }, { $set: { pinned } });
     
-    if (!name || !keywords || keywords.length === 0) {
-      return res.status(400).json({ error: 'Name and keywords are required' });
+    if (result.matchedCount === 0) {
+      return sendError(res, 404, 'Article not found');
     }
     
-    const topic = {
-      id: generateId(),
-      name,
-      keywords,
-      userId: userId || 'default',
-      createdAt: new Date(),
-    };
-    
-    await db.collection('topics').insertOne(topic);
-    res.status(201).json(topic);
+    res.json({ id: req.params.id, pinned });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
-});
+}
 
-// Delete topic
-app.delete('/api/topics/:id', async (req, res) => {
+// List archived articles, most recently archived first
+app.get('/api/archive', requireAdmin, validate({
+  query: { ...PAGE_QUERY, properties: { ...PAGE_QUERY.properties, category: { type: 'string', maxLength: 50 } } }
+}), async (req, res) => {
   try {
-    const result = await db.collection('topics').deleteOne({ id: req.params.id });
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const filter = req.query.category ? { categories: req.query.category } : {};
     
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Topic not found' });
-    }
+    const [total, articles] = await Promise.all([
+      db.collection('articles_archive').countDocuments(filter),
+      db.collection('articles_archive')
+        .find(filter, { projection: { _id: 0, generatedContent: 0, topicMatches: 0 } })
+        .sort({ archivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray()
+    ]);
     
-    res.json({ message: 'Topic deleted successfully' });
+    res.json({ articles, total, page, limit });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
-// ============================================
-// NEWS FETCHING
-// ============================================
-
-// Manually trigger news fetch
-app.post('/api/fetch-news', async (req, res) => {
+// Move an archived article back into `articles`. It restarts its retention period.
+app.post('/api/archive/:id/restore', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    console.log('\n📰 Fetching news from sources...');
-    
-    // Get enabled sources from database
-    const sources = await db.collection('sources').find({ enabled: true }).toArray();
+    const archived = await db.collection('articles_archive').findOne({ id: req.params.id });
     
-    if (sources.length === 0) {
-      return res.status(400).json({ error: 'No enabled sources found' });
+    if (!archived) {
+      return sendError(res, 404, 'Archived article not found');
     }
     
-    const allArticles = [];
-    
-    // Fetch from each enabled RSS feed
-    for (const source of sources) {
-      try {
-        console.log(`  Fetching from ${source.name}...`);
-        const feed = await parser.parseURL(source.url);
-        
-        const articles = feed.items.slice(0, 5).map(item => ({
-          sourceId: generateId(),
-          sourceName: source.name,
-          sourceUrl: item.link,
-          title: cleanTitle(item.title),
-          content: cleanContent(item.contentSnippet || item.summary || ''),
-          publishedAt: new Date(item.pubDate || Date.now()),
-          imageUrl: item.enclosure?.url || 
-                     item['media:content']?.$?.url || 
-                     item['media:thumbnail']?.$?.url ||
-                     item.image?.url || 
-                     item.content?.match(/<img[^>]+src="([^">]+)"/)?.[1] ||
-                     null
-        }));
-        
-        allArticles.push(...articles);
-        console.log(`  ✓ Got ${articles.length} articles`);
-      } catch (error) {
-        console.log(`  ✗ Error from ${source.name}: ${error.message}`);
-      }
+    if (await db.collection('articles').findOne({ id: archived.id }, { projection: { _id: 1 } })) {
+      return sendError(res, 409, 'An article with this id already exists', { details: { articleId: archived.id } });
     }
     
-    console.log(`\n📊 Total articles fetched: ${allArticles.length}`);
-    console.log('🔄 Grouping similar articles...');
+    const { _id, archivedAt, archiveReason, ...article } = archived;
+    article.restoredAt = new Date();
+    article.updatedAt = article.restoredAt;
     
-    // Simple deduplication
-    const groups = [];
-    const used = new Set();
+    await db.collection('articles').insertOne(article);
+    await db.collection('articles_archive').deleteOne({ id: archived.id });
     
-    for (let i = 0; i < allArticles.length; i++) {
-      if (used.has(i)) continue;
-      
-      const group = [allArticles[i]];
-      used.add(i);
-      
-      for (let j = i + 1; j < allArticles.length; j++) {
-        if (used.has(j)) continue;
-        
-        const words1 = allArticles[i].title.toLowerCase().split(/\s+/);
-        const words2 = allArticles[j].title.toLowerCase().split(/\s+/);
-        const common = words1.filter(w => w.length > 3 && words2.includes(w)).length;
-        
-        if (common >= 3) {
-          group.push(allArticles[j]);
-          used.add(j);
-        }
-      }
-      
-      groups.push(group);
+    const { _id: insertedId, ...restored } = article;
+    res.json(restored);
+  } catch (error) {
+    sendServerError(res, error);
+  }
+});
+
+// ============================================
+// INGESTION JOBS
+// ============================================
+
+// Only one ingestion job runs at a time; recent jobs are kept in memory for
+// status and SSE, and every job is also recorded in `fetch_runs`
+const MAX_JOBS_IN_MEMORY = 50;
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let activeJob = null;
+
+// Create a job and run the pipeline in the background.
+// Resolves once the job is registered; `done` settles when it finishes.
+// Rejects with code 'JOB_RUNNING' when another job is active.
+async function startNewsJob(sources, trigger) {
+  // Checked and claimed before the first await, so two callers can't both start
+  if (activeJob) {
+    const error = new Error('A news fetch is already running');
+    error.code = 'JOB_RUNNING';
+    error.jobId = activeJob.id;
+    throw error;
+  }
+  
+  const job = {
+    id: generateId(),
+    trigger,
+    status: 'queued',
+    sourceIds: sources.map(s => s.id),
+    sourcesTotal: sources.length,
+    sourcesFetched: 0,
+    totalFetched: 0,
+    totalGroups: 0,
+    toGenerate: 0,
+    generated: 0,
+    saved: 0,
+    updated: 0,
+    held: 0,
+    skipped: 0,
+    errors: [],
+    usage: { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 },
+    budgetExceeded: null,
+    cancelRequested: false,
+    startedAt: new Date(),
+    finishedAt: null
+  };
+  
+  activeJob = job;
+  jobs.set(job.id, job);
+  pruneJobs();
+  
+  try {
+    await db.collection('fetch_runs').insertOne({ ...job });
+  } catch (error) {
+    activeJob = null;
+    throw error;
+  }
+  
+  const done = runNewsJob(job, sources);
+  return { job, done };
+}
+
+async function runNewsJob(job, sources) {
+  try {
+    const result = await fetchAndGenerateNews(sources, job);
+    updateJob(job, { status: 'completed', ...result });
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      console.log(`\n🛑 Job ${job.id} cancelled`);
+      updateJob(job, { status: 'cancelled' });
+    } else {
+      console.error('❌ Error fetching news:', error);
+      job.errors.push({ stage: job.status, message: error.message });
+      updateJob(job, { status: 'failed', error: error.message });
     }
+  } finally {
+    job.finishedAt = new Date();
+    activeJob = null;
     
-    console.log(`✓ Grouped into ${groups.length} unique stories`);
-    console.log('\n🤖 Generating comprehensive articles with Claude AI...');
+    const { cancelRequested, ...record } = job;
+    await db.collection('fetch_runs')
+      .updateOne({ id: job.id }, { $set: record })
+      .catch(error => console.error('❌ Error saving fetch run:', error));
     
-    let savedCount = 0;
-    const groupsToProcess = groups.slice(0, 15);
-    
-    for (let i = 0; i < groupsToProcess.length; i++) {
-      const group = groupsToProcess[i];
-      
-      try {
-        console.log(`\n  [${i + 1}/${groupsToProcess.length}] Processing: ${group[0].title.substring(0, 60)}...`);
-        
-        const sourcesText = group.map((article, index) => {
-          return `SOURCE ${index + 1} [${article.sourceName}]:
-Title: ${article.title}
-Content: ${article.content}
-URL: ${article.sourceUrl}
-`;
-        }).join('\n---\n\n');
-        
-        const prompt = `You are a professional news editor. Create a comprehensive news article from these sources:
-
-${sourcesText}
-
-Provide exactly this format:
+    jobEvents.emit('done', job);
+  }
+}
 
-HEADLINE:
-[Write a compelling one-line headline]
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  jobEvents.emit('update', job);
+}
 
-SUMMARY:
-[Write 2-3 sentences summarizing the key points]
+function throwIfCancelled(job) {
+  if (job.cancelRequested) {
+    const error = new Error('Job cancelled');
+    error.code = 'JOB_CANCELLED';
+    throw error;
+  }
+}
 
-ARTICLE:
-[Write a comprehensive article that includes all unique facts from all sources. Use inline citations like [1], [2], [3] when referencing specific sources. Write in clear, professional news style.]`;
+function isJobFinished(job) {
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
 
-        const message = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 2000,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        });
-        
-        const response = message.content[0].text;
-        
-        const headlineMatch = response.match(/HEADLINE:\s*(.+?)(?:\n|$)/i);
-        const summaryMatch = response.match(/SUMMARY:\s*(.+?)(?=\n\nARTICLE:|\n\n[A-Z]+:|$)/is);
-        const articleMatch = response.match(/ARTICLE:\s*(.+)/is);
-        
-        const headline = headlineMatch ? headlineMatch[1].trim() : group[0].title;
-        const summary = summaryMatch ? summaryMatch[1].trim().replace(/\n/g, ' ') : '';
-        let generatedContent = articleMatch ? articleMatch[1].trim() : response;
-        
-        const sourcesSection = '\n\n---\n\nSOURCES:\n' + 
-          group.map((article, index) => 
-            `[${index + 1}] ${article.sourceName} - ${article.sourceUrl}`
-          ).join('\n');
-        
-        generatedContent += sourcesSection;
-        
-// Pick the best image from sources (prioritize first source with image)
-let imageUrl = group.find(a => a.imageUrl)?.imageUrl;
-
-// Fallback: use Unsplash if no RSS image found
-if (!imageUrl) {
-  const keywords = headline.split(' ').slice(0, 3).join(',');
-  imageUrl = `https://picsum.photos/800/600?random=${Date.now()}`;
-}
-
-          const article = {
-          id: generateId(),
-          headline,
-          summary,
-          generatedContent,
-          imageUrl,
-          sources: group.map(a => ({
-            id: a.sourceId,
-            name: a.sourceName,
-            url: a.sourceUrl,
-            fetchedAt: new Date()
-          })),
-          publishedAt: group[0].publishedAt,
-          createdAt: new Date(),
-        };
-        
+// Drop the oldest finished jobs once the in-memory limit is reached
+function pruneJobs() {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS_IN_MEMORY) break;
+    if (isJobFinished(job)) jobs.delete(id);
+  }
+}
 
- const existing = await db.collection('articles').findOne({
-  $or: [
-    { headline: { $regex: new RegExp(headline.substring(0, 30), 'i') } },
-    { headline: headline }
-  ],
-  createdAt: { $gt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-});
-        
-        if (!existing) {
-          await db.collection('articles').insertOne(article);
-          console.log(`  ✓ Saved: ${headline.substring(0, 80)}...`);
-          savedCount++;
-        } else {
-          console.log(`  ⊘ Duplicate skipped`);
-        }
-        
-        if (i < groupsToProcess.length - 1) {
-          await sleep(2000);
-        }
-        
-      } catch (error) {
-        console.log(`  ✗ Error: ${error.message}`);
-      }
-    }
-    
-    console.log(`\n✅ Complete! Saved ${savedCount} new articles`);
-    console.log(`💰 Approximate cost: $${(savedCount * 0.003).toFixed(3)}\n`);
+// Get job status (falls back to the stored run once it is no longer in memory)
+app.get('/api/jobs/:id', requireAdmin, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const job = jobs.get(req.params.id) ||
+      await db.collection('fetch_runs').findOne({ id: req.params.id });
     
-    res.json({ 
-      success: true, 
-      articlesProcessed: savedCount,
-      totalFetched: allArticles.length,
-      totalGroups: groups.length,
-      estimatedCost: (savedCount * 0.003).toFixed(3)
-    });
+    if (!job) {
+      return sendError(res, 404, 'Job not found');
+    }
     
+    res.json(job);
   } catch (error) {
-    console.error('❌ Error fetching news:', error);
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
+  }
+});
+
+// Stream job progress as Server-Sent Events
+app.get('/api/jobs/:id/events', requireAdmin, validate({ params: ID_PARAMS }), (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  send('progress', job);
+  
+  if (isJobFinished(job)) {
+    send('done', job);
+    return res.end();
+  }
+  
+  const onUpdate = updated => {
+    if (updated.id === job.id) send('progress', updated);
+  };
+  const onDone = finished => {
+    if (finished.id !== job.id) return;
+    send('done', finished);
+    cleanup();
+    res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  
+  function cleanup() {
+    clearInterval(heartbeat);
+    jobEvents.off('update', onUpdate);
+    jobEvents.off('done', onDone);
+  }
+  
+  jobEvents.on('update', onUpdate);
+  jobEvents.on('done', onDone);
+  req.on('close', cleanup);
+});
+
+// Cancel a running job; it stops at the next source or story
+app.delete('/api/jobs/:id', requireAdmin, validate({ params: ID_PARAMS }), (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+  
+  if (isJobFinished(job)) {
+    return sendError(res, 409, `Job already ${job.status}`, { code: 'JOB_FINISHED', details: { status: job.status } });
   }
+  
+  job.cancelRequested = true;
+  console.log(`\n🛑 Cancelling job ${job.id}...`);
+  res.status(202).json({ message: 'Cancellation requested', ...job });
 });
 
 // Clear all articles (for testing)
-app.delete('/api/articles/clear', async (req, res) => {
+app.delete('/api/articles/clear', requireAdmin, rateLimit('deletes'), validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
   try {
     const result = await db.collection('articles').deleteMany({});
+    // Clusters would otherwise keep pointing at the deleted articles
+    await db.collection('clusters').deleteMany({});
     res.json({ message: 'Articles cleared', deletedCount: result.deletedCount });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
@@ -448,6 +6557,7 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date(),
     database: db ? 'connected' : 'disconnected',
+    llm: { provider: llm.name, model: llm.model },
   });
 });
 
@@ -458,16 +6568,21 @@ app.get('/api/stats', async (req, res) => {
     const totalTopics = await db.collection('topics').countDocuments();
     const totalSources = await db.collection('sources').countDocuments();
     const enabledSources = await db.collection('sources').countDocuments({ enabled: true });
+    // LLM spend is only shown to admins
+    const spend = req.user && req.user.role === 'admin'
+      ? { spentToday: await spendSince(startOfUtcDay()), spentThisMonth: await spendSince(startOfUtcMonth()) }
+      : {};
     
     res.json({
       totalArticles,
       totalTopics,
       totalSources,
       enabledSources,
+      ...spend,
       lastCheck: new Date(),
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
@@ -490,6 +6605,48 @@ function cleanContent(content) {
     .substring(0, 500);
 }
 
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isValidFetchInterval(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+function isValidItemLimit(value) {
+  return value === null || (Number.isInteger(value) && value > 0 && value <= MAX_ITEM_LIMIT);
+}
+
+function hashString(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').substring(0, 24);
+}
+
+// rss-parser keeps XML attributes under "$", which MongoDB won't store as a field name
+function sanitizeForMongo(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitizeForMongo);
+  }
+  
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key.replace(/^\$/, '_').replace(/\./g, '_')] = sanitizeForMongo(child);
+    }
+    return result;
+  }
+  
+  return value;
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -498,25 +6655,51 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// ============================================
+// WEB VIEW
 // ============================================
 
-// Web view for shared articles
-app.get('/article/:id', async (req, res) => {
+const SITE_NAME = 'NewsAggregator';
+
+// Markup that html`` interpolates as-is instead of escaping
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  
+  toString() {
+    return this.value;
+  }
+}
+
+function rawHtml(value) {
+  return new SafeHtml(value);
+}
+
+// Tagged template that HTML-escapes every interpolated value unless it is SafeHtml.
+// Arrays are joined and null, undefined and false render as nothing.
+function html(strings, ...values) {
+  const render = value => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(render).join('');
+    return escapeHtml(value);
+  };
+  
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+// Only http(s) links are rendered; anything else (javascript:, data:) becomes '#'
+function safeUrl(url) {
   try {
-    const article = await db.collection('articles').findOne({ id: req.params.id });
-    
-    if (!article) {
-      return res.status(404).send('<h1>Article not found</h1>');
-    }
-    
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${article.headline}</title>
-    <style>
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '#';
+  } catch (error) {
+    return '#';
+  }
+}
+
+const PAGE_STYLES = `
         body { 
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             max-width: 700px;
@@ -529,6 +6712,10 @@ app.get('/article/:id', async (req, res) => {
             font-size: 28px;
             margin-bottom: 10px;
         }
+        img.hero {
+            width: 100%;
+            border-radius: 8px;
+        }
         .meta {
             color: #666;
             font-size: 14px;
@@ -541,19 +6728,18 @@ app.get('/article/:id', async (req, res) => {
             margin-bottom: 20px;
         }
         .content {
-            white-space: pre-wrap;
             margin-bottom: 30px;
         }
-        .sources {
+        .content a {
+            color: #007AFF;
+            text-decoration: none;
+        }
+        .content h3 {
             border-top: 2px solid #eee;
             padding-top: 20px;
         }
-        .source {
-            margin-bottom: 10px;
-        }
-        .source a {
-            color: #007AFF;
-            text-decoration: none;
+        .content li:target {
+            background: #fff6cc;
         }
         .footer {
             text-align: center;
@@ -561,45 +6747,103 @@ app.get('/article/:id', async (req, res) => {
             padding-top: 20px;
             border-top: 1px solid #eee;
             color: #666;
-        }
+        }`;
+
+function renderPage({ title, head = '', body }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+${head}
+    <style>${rawHtml(PAGE_STYLES)}
     </style>
 </head>
 <body>
-    <h1>${article.headline}</h1>
-    <div class="meta">
-        ${new Date(article.publishedAt).toLocaleDateString()} • ${article.sources.length} sources
-    </div>
-    
-    <div class="summary">
-        <strong>Summary:</strong> ${article.summary}
-    </div>
-    
-    <div class="content">${article.generatedContent}</div>
-    
-    <div class="sources">
-        <h3>Sources</h3>
-        ${article.sources.map((source, i) => `
-            <div class="source">
-                [${i + 1}] <a href="${source.url}" target="_blank">${source.name}</a>
-            </div>
-        `).join('')}
-    </div>
-    
+${body}
     <div class="footer">
-        Powered by NewsAggregator
+        Powered by ${SITE_NAME}
     </div>
 </body>
 </html>
-    `;
+`.toString();
+}
+
+// Share page: escaped content, citations linked to the source list, and
+// OpenGraph / Twitter card tags for link previews
+function renderArticlePage(article, baseUrl) {
+  const url = `${baseUrl}/article/${encodeURIComponent(article.id)}`;
+  const imageUrl = article.imageUrl ? safeUrl(absoluteImageUrl(article.imageUrl, baseUrl)) : null;
+  const image = imageUrl !== '#' ? imageUrl : null;
+  const description = article.summary || '';
+  const publishedAt = new Date(article.publishedAt);
+  // Source links in the body are sanitized; citations jump to the source list
+  const content = renderContentHtml(
+    { ...article, sources: article.sources.map(source => ({ ...source, url: safeUrl(source.url) })) },
+    (source, n) => `#source-${n}`
+  );
+  
+  const head = html`    <meta name="description" content="${description}">
+    <link rel="canonical" href="${url}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${article.headline}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    ${image && html`<meta property="og:image" content="${image}">`}
+    <meta property="article:published_time" content="${publishedAt.toISOString()}">
+    <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${article.headline}">
+    <meta name="twitter:description" content="${description}">
+    ${image && html`<meta name="twitter:image" content="${image}">`}`;
+  
+  const body = html`    <article>
+        <h1>${article.headline}</h1>
+        <div class="meta">
+            <time datetime="${publishedAt.toISOString()}">${publishedAt.toUTCString().slice(0, 16)}</time> • ${article.sources.length} sources
+        </div>
+        ${image && html`<img class="hero" src="${image}" alt="">`}
+        
+        <div class="summary">
+            <strong>Summary:</strong> ${description}
+        </div>
+        
+        <div class="content">
+${rawHtml(content)}
+        </div>
+    </article>`;
+  
+  return renderPage({ title: `${article.headline} | ${SITE_NAME}`, head, body });
+}
+
+function renderErrorPage(title, message) {
+  return renderPage({
+    title: `${title} | ${SITE_NAME}`,
+    head: html`    <meta name="robots" content="noindex">`,
+    body: html`    <h1>${title}</h1>
+    <p>${message}</p>`
+  });
+}
+
+// Web view for shared articles
+app.get('/article/:id', validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const article = await db.collection('articles').findOne({ id: req.params.id, ...PUBLISHED_FILTER });
+    
+    if (!article) {
+      return res.status(404).send(renderErrorPage('Article not found', 'This article does not exist or has been removed.'));
+    }
     
-    res.send(html);
+    res.send(renderArticlePage(article, publicBaseUrl(req)));
   } catch (error) {
-    res.status(500).send('<h1>Error loading article</h1>');
+    console.error('Error rendering article:', error);
+    res.status(500).send(renderErrorPage('Something went wrong', 'The article could not be loaded. Please try again later.'));
   }
 });
 
 // Initialize preloaded sources (adds only sources that don't exist)
-app.post('/api/sources/initialize-preloaded', async (req, res) => {
+app.post('/api/sources/initialize-preloaded', requireAdmin, validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
   try {
     const preloadedSources = [
       // Technology
@@ -674,12 +6918,15 @@ app.post('/api/sources/initialize-preloaded', async (req, res) => {
       { name: "Rolling Stone", url: "https://www.rollingstone.com/feed/", category: "entertainment", enabled: false }
     ];
     
-    // Get existing source names
-    const existingSources = await db.collection('sources').find({}, { projection: { name: 1 } }).toArray();
+    // Get existing source names and feeds
+    const existingSources = await db.collection('sources').find({}, { projection: { name: 1, url: 1 } }).toArray();
     const existingNames = new Set(existingSources.map(s => s.name));
+    const existingUrls = new Set(existingSources.map(s => normalizeSourceUrl(s.url)));
     
     // Filter to only new sources
-    const newSources = preloadedSources.filter(source => !existingNames.has(source.name));
+    const newSources = preloadedSources.filter(source =>
+      !existingNames.has(source.name) && !existingUrls.has(normalizeSourceUrl(source.url))
+    );
     
     if (newSources.length === 0) {
       const totalCount = await db.collection('sources').countDocuments();
@@ -690,19 +6937,27 @@ app.post('/api/sources/initialize-preloaded', async (req, res) => {
     const sourcesWithDates = newSources.map(source => ({
       ...source,
       id: generateId(),
+      normalizedUrl: normalizeSourceUrl(source.url),
       createdAt: new Date()
     }));
     
-    const result = await db.collection('sources').insertMany(sourcesWithDates);
+    // Unordered, so a feed added concurrently only skips that one source
+    let added;
+    try {
+      added = (await db.collection('sources').insertMany(sourcesWithDates, { ordered: false })).insertedCount;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      added = error.insertedCount;
+    }
     const totalCount = await db.collection('sources').countDocuments();
     
     res.json({ 
       message: 'Preloaded sources added successfully',
-      added: result.insertedCount,
+      added,
       total: totalCount
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
   }
 });
 
@@ -711,17 +6966,35 @@ app.post('/api/sources/initialize-preloaded', async (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-// Cleanup old articles (older than 3 days)
-app.delete('/api/articles/cleanup', async (req, res) => {
+// Archive articles past their retention policy now
+app.delete('/api/articles/cleanup', requireAdmin, rateLimit('deletes'), validate({ query: NO_INPUT, body: NO_INPUT }), async (req, res) => {
   try {
-    const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
-    const result = await db.collection('articles').deleteMany({
-      createdAt: { $lt: threeDaysAgo }
-    });
-    res.json({ message: 'Old articles cleaned up', deletedCount: result.deletedCount });
+    // Expired articles are archived under the retention policy, not deleted
+    const { archivedCount } = await archiveExpiredArticles('manual');
+    // Articles leave the live collection either way; deletedCount is kept for existing clients
+    res.json({ message: 'Old articles archived', deletedCount: archivedCount, archivedCount });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendServerError(res, error);
+  }
+});
+
+// Unknown API routes get the error envelope instead of Express's HTML page
+app.use('/api', (req, res) => {
+  sendError(res, 404, 'Route not found', { details: { method: req.method, path: req.baseUrl + req.path } });
+});
+
+// Errors passed to next(), e.g. malformed or oversized request bodies
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
   }
+  sendServerError(res, error);
 });
 
 app.listen(PORT, () => {